@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const GitHubAPI = require('./utils/github-api');
+const GitHubPlatform = require('./utils/github-platform');
+const EventRouter = require('./utils/event-router');
+const CommentPipeline = require('./utils/comment-pipeline');
+const { loadConfig } = require('./utils/config');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { parseArgs } = require('./utils/cli-args');
+const { buildPlan, formatPlan } = require('./utils/skill-plan');
+
+/**
+ * CLI script to mine existing PR review history into skills
+ * Walks closed PRs and feeds every review comment through the extraction pipeline
+ *
+ * Usage:
+ *   node scripts/backfill.js --since 2023-01-01 --until 2023-12-31
+ *   node scripts/backfill.js --from-pr 100 --to-pr 500 --concurrency 4
+ *   node scripts/backfill.js --since 2022-01-01 --limit 50   # Mine 50 PRs per run
+ *
+ * Options:
+ *   --repo owner/repo     Repository (defaults to GITHUB_REPOSITORY)
+ *   --since / --until     Closed date range (YYYY-MM-DD)
+ *   --from-pr / --to-pr   PR number range
+ *   --merged-only         Skip PRs that were closed without merging
+ *   --thread-aware        Extract from resolved review threads instead of single comments
+ *   --concurrency N       PRs processed in parallel (default 2)
+ *   --limit N             Maximum PRs to process in this run
+ *   --policy path         Reviewer policy file (replaces "policy" from .pr-skills.json)
+ *   --checkpoint path     Checkpoint file (default .pr-skills-backfill.json)
+ *   --reset               Ignore an existing checkpoint and start over
+ *   --dry-run             Print planned skill changes without writing skills or the checkpoint
+ *   --json                With --dry-run, print the plans as JSON on stdout
+ */
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2), {
+    booleans: ['mergedOnly', 'reset', 'threadAware', 'dryRun', 'json']
+  });
+  const dryRun = Boolean(flags.dryRun);
+  const json = dryRun && Boolean(flags.json);
+
+  if (json) {
+    // Keep stdout for the plans
+    console.log = console.error;
+  }
+
+  const repository = flags.repo || process.env.GITHUB_REPOSITORY;
+  if (!repository) {
+    throw new Error('Repository not specified (use --repo owner/repo or GITHUB_REPOSITORY)');
+  }
+
+  const config = loadConfig();
+  const options = {
+    since: flags.since ? new Date(flags.since) : null,
+    until: flags.until ? new Date(flags.until) : null,
+    fromPr: flags.fromPr ? parseInt(flags.fromPr, 10) : null,
+    toPr: flags.toPr ? parseInt(flags.toPr, 10) : null,
+    mergedOnly: Boolean(flags.mergedOnly),
+    threadAware: Boolean(flags.threadAware) || config.threadAware,
+    concurrency: flags.concurrency ? parseInt(flags.concurrency, 10) : 2,
+    limit: flags.limit ? parseInt(flags.limit, 10) : Infinity,
+    // Dry runs collect a plan per processed comment
+    plans: dryRun ? [] : null,
+    json
+  };
+
+  const checkpointPath = flags.checkpoint || '.pr-skills-backfill.json';
+  const checkpoint = flags.reset
+    ? createCheckpoint(repository)
+    : await loadCheckpoint(checkpointPath, repository);
+
+  const { owner, repo } = GitHubAPI.parseRepository(repository);
+  const githubAPI = GitHubAPI.fromEnvironment(owner, repo);
+  const router = new EventRouter();
+  const pipeline = await CommentPipeline.create(config, {
+    platform: new GitHubPlatform(githubAPI),
+    policyFile: flags.policy,
+    threadAware: options.threadAware,
+    dryRun
+  });
+
+  console.log(`Collecting pull requests from ${repository}...`);
+  const pullRequests = await collectPullRequests(githubAPI, options);
+  const pending = pullRequests
+    .filter(pr => !checkpoint.completedPRs.includes(pr.number))
+    .slice(0, options.limit);
+
+  console.log(`Found ${pullRequests.length} matching PRs, ${pending.length} to process in this run`);
+
+  let saveChain = Promise.resolve();
+  const save = () => {
+    if (dryRun) return saveChain;
+    saveChain = saveChain.then(() => saveCheckpoint(checkpointPath, checkpoint));
+    return saveChain;
+  };
+
+  // Persist progress if the run is interrupted
+  process.on('SIGINT', async () => {
+    console.log('\nInterrupted, saving checkpoint...');
+    await save();
+    process.exit(130);
+  });
+
+  let done = 0;
+  await mapWithConcurrency(pending, options.concurrency, async (pr) => {
+    const counts = await backfillPR(githubAPI, router, pipeline, pr, checkpoint, options);
+
+    if (counts.failed === 0) {
+      checkpoint.completedPRs.push(pr.number);
+    }
+    checkpoint.stats.prs++;
+    await save();
+
+    done++;
+    console.log(
+      `[${done}/${pending.length}] PR #${pr.number}: ${counts.total} comments ` +
+      `(${counts.created} created, ${counts.merged} merged, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed)`
+    );
+  });
+
+  await save();
+
+  const { stats } = checkpoint;
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ dryRun, stats, plans: options.plans }, null, 2)}\n`);
+  }
+
+  console.log(dryRun ? '\nBackfill summary (dry run, no files written)' : '\nBackfill summary');
+  console.log(`PRs processed: ${stats.prs}`);
+  console.log(`Comments processed: ${stats.comments}`);
+  console.log(`Skills created: ${stats.created}`);
+  console.log(`Skills merged: ${stats.merged}`);
+  console.log(`Contributions updated: ${stats.updated || 0}`);
+  console.log(`Comments skipped: ${stats.skipped}`);
+  console.log(`Failures: ${stats.failed}`);
+  if (!dryRun) {
+    console.log(`Checkpoint: ${checkpointPath}`);
+  }
+}
+
+/**
+ * List closed PRs matching the date and number range
+ */
+async function collectPullRequests(githubAPI, options) {
+  const matches = [];
+  // Sorting by update time lets us stop paging once PRs are older than --since
+  const sort = options.since ? 'updated' : 'created';
+
+  for await (const pr of githubAPI.listPRs({ state: 'closed', sort, direction: 'desc' })) {
+    if (options.since && new Date(pr.updated_at) < options.since) break;
+    if (!options.since && options.fromPr && pr.number < options.fromPr) break;
+    if (matchesRange(pr, options)) {
+      matches.push(pr);
+    }
+  }
+
+  // Oldest first so skills accumulate in the order the feedback was given
+  return matches.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Check whether a PR falls inside the requested range
+ */
+function matchesRange(pr, options) {
+  if (options.mergedOnly && !pr.merged_at) return false;
+  if (options.fromPr && pr.number < options.fromPr) return false;
+  if (options.toPr && pr.number > options.toPr) return false;
+
+  const closedAt = new Date(pr.closed_at);
+  if (options.since && closedAt < options.since) return false;
+  if (options.until && closedAt > options.until) return false;
+
+  return true;
+}
+
+/**
+ * Process every review comment of a PR that has not been processed yet
+ */
+async function backfillPR(githubAPI, router, pipeline, pr, checkpoint, options) {
+  const counts = { total: 0, created: 0, merged: 0, updated: 0, retracted: 0, skipped: 0, failed: 0 };
+
+  const comments = await githubAPI.getPRComments(pr.number);
+
+  for (const comment of comments) {
+    counts.total++;
+    if (checkpoint.processedComments[comment.id]) {
+      continue;
+    }
+    // In thread-aware mode a reply is covered when its thread root is processed
+    if (options.threadAware && comment.in_reply_to_id) {
+      continue;
+    }
+
+    try {
+      const result = await pipeline.process({
+        ...router.reviewCommentData(comment),
+        pr: pr.number,
+        prAuthor: pr.user?.login
+      });
+      counts[result.status]++;
+      checkpoint.stats[result.status] = (checkpoint.stats[result.status] || 0) + 1;
+      checkpoint.processedComments[comment.id] = result.status;
+
+      if (options.plans) {
+        const plan = buildPlan(result, { id: comment.id });
+        options.plans.push({ pr: pr.number, ...plan });
+        if (!options.json && plan.files.length > 0) {
+          console.log(`${formatPlan(plan)}\n`);
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to process comment ${comment.id} on PR #${pr.number}:`, error.message);
+      counts.failed++;
+      checkpoint.stats.failed++;
+    }
+    checkpoint.stats.comments++;
+  }
+
+  return counts;
+}
+
+/**
+ * Create an empty checkpoint
+ */
+function createCheckpoint(repository) {
+  return {
+    repository,
+    completedPRs: [],
+    processedComments: {},
+    stats: { prs: 0, comments: 0, created: 0, merged: 0, updated: 0, retracted: 0, skipped: 0, failed: 0 }
+  };
+}
+
+/**
+ * Load a checkpoint for the repository, or start a new one
+ */
+async function loadCheckpoint(checkpointPath, repository) {
+  try {
+    const checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf-8'));
+    if (checkpoint.repository !== repository) {
+      console.warn(`Checkpoint ${checkpointPath} belongs to ${checkpoint.repository}, starting over`);
+      return createCheckpoint(repository);
+    }
+    console.log(`Resuming from checkpoint: ${checkpoint.completedPRs.length} PRs already completed`);
+    return checkpoint;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return createCheckpoint(repository);
+  }
+}
+
+/**
+ * Write the checkpoint atomically
+ */
+async function saveCheckpoint(checkpointPath, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  const tmpPath = `${checkpointPath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(checkpoint, null, 2), 'utf-8');
+  await fs.rename(tmpPath, checkpointPath);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, collectPullRequests, matchesRange, backfillPR, createCheckpoint };
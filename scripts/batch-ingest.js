@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const CommentPipeline = require('./utils/comment-pipeline');
+const { loadConfig } = require('./utils/config');
+const { parseArgs } = require('./utils/cli-args');
+const { buildPlan, formatPlan } = require('./utils/skill-plan');
+
+/**
+ * CLI script to run the extraction pipeline over a file of comments, without GitHub
+ * Accepts a JSON array or JSONL file of { body, filePath, diffHunk, line, startLine, side, author, pr, date } records
+ *
+ * Usage:
+ *   node scripts/batch-ingest.js comments.jsonl
+ *   node scripts/batch-ingest.js comments.json --report report.json
+ *   node scripts/batch-ingest.js comments.jsonl --policy reviewer-policy.json
+ *   node scripts/batch-ingest.js comments.jsonl --dry-run [--json]
+ */
+async function main() {
+  const { flags, positionals } = parseArgs(process.argv.slice(2), { booleans: ['dryRun', 'json'] });
+  const dryRun = Boolean(flags.dryRun);
+  const json = dryRun && Boolean(flags.json);
+
+  if (json) {
+    // Keep stdout for the report
+    console.log = console.error;
+  }
+
+  const inputPath = positionals[0];
+  if (!inputPath) {
+    throw new Error('Usage: batch-ingest <comments.jsonl|comments.json> [--report report.json]');
+  }
+
+  const records = parseRecords(await fs.readFile(inputPath, 'utf-8'));
+  console.log(`Loaded ${records.length} records from ${inputPath}\n`);
+
+  const pipeline = await CommentPipeline.create(loadConfig(), {
+    policyFile: flags.policy,
+    threadAware: false,
+    dryRun
+  });
+
+  const report = await ingestRecords(pipeline, records, { dryRun });
+  if (json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    printReport(report);
+  }
+
+  if (flags.report) {
+    await fs.writeFile(flags.report, JSON.stringify(report, null, 2), 'utf-8');
+    console.log(`\nReport written to ${flags.report}`);
+  }
+
+  process.exit(report.summary.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Parse a JSON array or JSONL document into records
+ * Lines that fail to parse become { parseError } records so they show up in the report
+ */
+function parseRecords(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+
+  return trimmed
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, lineNumber }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { parseError: `Line ${lineNumber}: ${error.message}` };
+      }
+    });
+}
+
+/**
+ * Run each record through the pipeline in order and collect a per-record report
+ * In a dry run each result carries the plan of skill changes it would make
+ */
+async function ingestRecords(pipeline, records, { dryRun = false } = {}) {
+  const results = [];
+
+  for (let index = 0; index < records.length; index++) {
+    const record = records[index];
+    const problem = validateRecord(record);
+
+    let result;
+    if (problem) {
+      result = { status: 'skipped', reason: `Invalid record: ${problem}` };
+    } else {
+      try {
+        result = await pipeline.process({
+          id: record.id,
+          body: record.body,
+          filePath: record.filePath || '',
+          diffHunk: record.diffHunk || '',
+          line: record.line,
+          startLine: record.startLine,
+          side: record.side,
+          author: record.author || 'unknown',
+          prAuthor: record.prAuthor,
+          pr: record.pr,
+          date: record.date
+        });
+      } catch (error) {
+        result = { status: 'failed', reason: error.message };
+      }
+    }
+
+    results.push({
+      index,
+      id: record?.id ?? null,
+      status: result.status,
+      reason: result.reason || null,
+      path: result.paths ? result.paths.join(', ') : result.path || null,
+      skillName: result.skillName || null,
+      insights: (result.insights || []).map(insight => ({
+        status: insight.status,
+        skillName: insight.skillName || null,
+        category: insight.category || null,
+        path: insight.path || null,
+        reason: insight.reason || null
+      })),
+      ...(dryRun ? { plan: buildPlan(result, { id: record?.id ?? null }) } : {})
+    });
+  }
+
+  const summary = { total: results.length, created: 0, merged: 0, updated: 0, retracted: 0, skipped: 0, failed: 0 };
+  results.forEach(result => summary[result.status]++);
+
+  return { dryRun, summary, results };
+}
+
+/**
+ * Return a description of what is wrong with a record, or null if it is usable
+ */
+function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return 'record must be an object';
+  }
+  if (record.parseError) {
+    return record.parseError;
+  }
+  if (typeof record.body !== 'string' || !record.body.trim()) {
+    return 'missing "body"';
+  }
+  return null;
+}
+
+function printReport(report) {
+  const icons = { created: '✅', merged: '🔀', updated: '✏️', retracted: '🗑️', skipped: '⏭️', failed: '❌' };
+
+  report.results.forEach(result => {
+    const label = result.id != null ? `#${result.index} (${result.id})` : `#${result.index}`;
+    const detail = result.path || result.reason || '';
+    console.log(`${icons[result.status]} ${label} ${result.status}: ${detail}`);
+    if (result.insights.length > 1) {
+      result.insights.forEach(insight => {
+        console.log(`   ${icons[insight.status]} ${insight.skillName || 'unnamed'} (${insight.category}): ${insight.path || insight.reason}`);
+      });
+    }
+    if (result.plan && result.plan.files.length > 0) {
+      console.log(`${formatPlan(result.plan)}\n`);
+    }
+  });
+
+  const { summary } = report;
+  console.log('\n════════════════════════════════════════════');
+  console.log(report.dryRun ? 'Summary (dry run, no files written)' : 'Summary');
+  console.log('════════════════════════════════════════════');
+  console.log(`Records: ${summary.total}`);
+  console.log(`Created: ${summary.created}`);
+  console.log(`Merged: ${summary.merged}`);
+  console.log(`Updated: ${summary.updated}`);
+  console.log(`Retracted: ${summary.retracted}`);
+  console.log(`Skipped: ${summary.skipped}`);
+  console.log(`Failed: ${summary.failed}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, parseRecords, ingestRecords };
@@ -2,33 +2,38 @@ const fs = require('fs').promises;
 const path = require('path');
 const SkillManager = require('./utils/skill-manager');
 const SkillValidator = require('./utils/skill-validator');
+const { DEFAULT_CONFIG } = require('./utils/config');
+
+// Reference files progressive disclosure splits out of SKILL.md
+const REFERENCE_FILES = ['EXAMPLES.md', 'DETAILS.md'];
 
 /**
  * Generate a skill file from processed comment data
  * Follows Claude Skill authoring best practices
  */
 class SkillGenerator {
-  constructor(skillsDir = '.claude/skills') {
-    this.skillManager = new SkillManager(skillsDir);
-    this.validator = new SkillValidator();
-    this.maxSkillLines = 500;
+  constructor(skillsDir = DEFAULT_CONFIG.skillsDir, options = {}) {
+    this.skillManager = new SkillManager(skillsDir, options);
+    this.maxSkillLines = options.maxSkillLines ?? DEFAULT_CONFIG.maxSkillLines;
+    this.validator = new SkillValidator({ maxSkillLines: this.maxSkillLines });
+    // Dry runs stage every write in the skill manager instead of touching the disk
+    this.dryRun = Boolean(options.dryRun);
   }
 
   /**
    * Generate or update a skill file
    * Implements validation feedback loop (best practice)
+   * Pass options.targetPath to replace a comment's contribution in a known skill (edited comments); when the
+   * category changed, the contribution is retracted from that skill and created or merged in the new category instead
+   * options.contributionId keys the contribution when a comment has several insights (see SkillManager.contributionId)
+   * The result lists every file change as { path, action, before, after }
    */
-  async generateSkill(skillData, sourceInfo) {
+  async generateSkill(skillData, sourceInfo, options = {}) {
     const {
       category,
       skillName,
       title,
       description,
-      instructions,
-      antiPattern,
-      bestPractice,
-      badExample,
-      goodExample,
       domain
     } = skillData;
 
@@ -37,59 +42,176 @@ class SkillGenerator {
     const categoryFolder = this.skillManager.getCategoryFolder(category);
     const detectedDomain = domain || 'general';
 
-    // Check for similar skills
-    const similarSkills = await this.skillManager.findSimilarSkills({
-      title,
-      description,
-      keywords: skillData.keywords || []
-    });
-
-    let finalSkillData = { ...skillData };
+    let existingSkill = null;
     let skillPath;
-    let skillDir;
+    let matchScore = null;
+    let targetPath = options.targetPath || null;
+    const changes = [];
+
+    if (targetPath) {
+      existingSkill = await this.skillManager.loadSkill(targetPath);
+      if (existingSkill.categoryFolder === categoryFolder) {
+        console.log(`Replacing contribution in existing skill: ${targetPath}`);
+      } else {
+        // An edit changed the category: the contribution leaves the old skill and is placed like a new one
+        console.log(`Moving contribution out of ${targetPath}, now categorized as ${category}`);
+        const commentId = String(sourceInfo.commentId);
+        const contributionId = options.contributionId || commentId;
+        const keep = existingSkill.contributions
+          .filter(c => this.skillManager.isContributionOf(c.id, commentId) && c.id !== contributionId)
+          .map(c => c.id);
+        changes.push(...(await this.retractFromSkill(existingSkill, commentId, keep)).changes);
+        existingSkill = null;
+        targetPath = null;
+      }
+    }
+
+    if (!targetPath) {
+      // Check for similar skills; a moved contribution does not merge back into the skill it left
+      const similarSkills = (await this.skillManager.findSimilarSkills({
+        title,
+        description,
+        keywords: skillData.keywords || []
+      })).filter(similar => similar.skill.path !== options.targetPath);
+
+      if (similarSkills.length > 0) {
+        // Merge with most similar skill
+        existingSkill = similarSkills[0].skill;
+        matchScore = similarSkills[0].similarity;
+        console.log(`Merging with existing skill: ${existingSkill.path}`);
+      } else {
+        const skillDir = this.skillManager.getSkillPath(
+          detectedDomain,
+          categoryFolder,
+          normalizedName
+        );
+        skillPath = path.join(skillDir, 'SKILL.md');
+
+        // A skill with the same name already exists: merge instead of overwriting it
+        try {
+          existingSkill = await this.skillManager.loadSkill(skillPath);
+          console.log(`Merging with existing skill of the same name: ${skillPath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+          await this.skillManager.ensureDirectory(skillDir);
+          console.log(`Creating new skill: ${skillPath}`);
+        }
+      }
+    }
 
-    if (similarSkills.length > 0) {
-      // Merge with most similar skill
-      const mostSimilar = similarSkills[0].skill;
-      finalSkillData = this.skillManager.mergeSkills(mostSimilar, {
+    let finalSkillData;
+    if (existingSkill) {
+      finalSkillData = this.skillManager.mergeSkills(existingSkill, {
         ...skillData,
-        source: sourceInfo
+        source: sourceInfo,
+        contributionId: options.contributionId
       });
-      skillPath = mostSimilar.path;
-      skillDir = path.dirname(skillPath);
-      console.log(`Merging with existing skill: ${skillPath}`);
+      skillPath = existingSkill.path;
     } else {
-      // Create new skill
-      skillDir = this.skillManager.getSkillPath(
-        detectedDomain,
-        categoryFolder,
-        normalizedName
+      const commentId = sourceInfo?.commentId != null ? String(sourceInfo.commentId) : null;
+      finalSkillData = {
+        ...skillData,
+        contributions: [{ id: options.contributionId || commentId, instructions: skillData.instructions || '' }],
+        sources: [{ ...sourceInfo, commentId }]
+      };
+    }
+
+    const validation = await this.writeSkill(finalSkillData, sourceInfo, skillPath, changes);
+    
+    return {
+      path: skillPath,
+      isNew: !existingSkill,
+      merged: Boolean(existingSkill) && !targetPath,
+      updated: Boolean(targetPath),
+      matchScore,
+      validation,
+      changes
+    };
+  }
+
+  /**
+   * Remove a source comment's contributions from every skill they are part of
+   * options.keep lists contribution keys to leave in place (insights the comment still has)
+   * Skills left without any contribution are deleted
+   */
+  async retractContribution(commentId, { keep = [] } = {}) {
+    const skills = await this.skillManager.findSkillsByComment(commentId);
+    const results = [];
+
+    for (const skill of skills) {
+      const stale = skill.contributions.some(c =>
+        this.skillManager.isContributionOf(c.id, commentId) && !keep.includes(c.id)
       );
-      await this.skillManager.ensureDirectory(skillDir);
-      skillPath = path.join(skillDir, 'SKILL.md');
-      console.log(`Creating new skill: ${skillPath}`);
+      if (!stale && keep.length > 0) {
+        continue;
+      }
+
+      results.push(await this.retractFromSkill(skill, commentId, keep));
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove a comment's contributions, except the keys in keep, from one skill
+   * Returns { path, removed, validation, changes }; removed is true when the skill was left empty and deleted
+   */
+  async retractFromSkill(skill, commentId, keep = []) {
+    const updated = this.skillManager.removeContribution(skill, commentId, { keep });
+    const changes = [];
+
+    if (!updated) {
+      await this.deleteSkill(skill.path, changes);
+      console.log(`Removed skill with no remaining sources: ${skill.path}`);
+      return { path: skill.path, removed: true, changes };
     }
 
+    console.log(`Removed contribution of comment ${commentId} from: ${skill.path}`);
+    const validation = await this.writeSkill(updated, updated.sources[0], skill.path, changes);
+    return { path: skill.path, removed: false, validation, changes };
+  }
+
+  /**
+   * Build, write and validate a skill file
+   */
+  async writeSkill(skillData, sourceInfo, skillPath, changes = []) {
+    const skillDir = path.dirname(skillPath);
+
     // Generate skill file content
-    let content = this.buildSkillContent(finalSkillData, sourceInfo);
+    let content = this.buildSkillContent(skillData, sourceInfo);
+    let referenceFiles = [];
 
     // Check if content exceeds line limit - apply progressive disclosure
     const lineCount = content.split('\n').length;
     if (lineCount > this.maxSkillLines) {
       console.log(`Skill exceeds ${this.maxSkillLines} lines (${lineCount}), applying progressive disclosure...`);
-      const { mainContent, referenceFiles } = await this.applyProgressiveDisclosure(
-        finalSkillData,
+      const disclosed = await this.applyProgressiveDisclosure(
+        skillData,
         sourceInfo,
-        skillDir
+        skillDir,
+        changes
       );
-      content = mainContent;
+      content = disclosed.mainContent;
+      referenceFiles = disclosed.referenceFiles;
+    }
+
+    // A skill that shrank back, or lost its examples or details, drops the reference files it no longer links
+    for (const fileName of REFERENCE_FILES) {
+      const filePath = path.join(skillDir, fileName);
+      if (!referenceFiles.includes(filePath)) {
+        await this.removeFile(filePath, changes);
+      }
     }
 
     // Write skill file
-    await fs.writeFile(skillPath, content, 'utf-8');
+    await this.writeFile(skillPath, content, changes);
     
     // Validation feedback loop
-    const validation = await this.validator.validateSkill(skillPath);
+    const validation = this.dryRun
+      ? this.validator.validateSkillContent(content)
+      : await this.validator.validateSkill(skillPath);
     if (!validation.valid) {
       console.warn(`Skill validation issues: ${validation.summary}`);
       validation.issues.forEach(issue => {
@@ -100,20 +222,100 @@ class SkillGenerator {
     } else {
       console.log('✓ Skill passes validation');
     }
-    
-    return {
-      path: skillPath,
-      isNew: similarSkills.length === 0,
-      merged: similarSkills.length > 0,
-      validation
-    };
+
+    return validation;
+  }
+
+  /**
+   * Write a skill file (or stage it in a dry run) and record the change
+   */
+  async writeFile(filePath, content, changes = []) {
+    const before = await this.readExisting(filePath);
+    if (before === content) {
+      return;
+    }
+
+    changes.push({ path: filePath, action: before === null ? 'create' : 'update', before, after: content });
+
+    if (this.dryRun) {
+      this.skillManager.stage(filePath, content);
+    } else {
+      await fs.writeFile(filePath, content, 'utf-8');
+    }
+  }
+
+  /**
+   * Delete a single skill file if it exists (or stage its deletion in a dry run) and record the change
+   */
+  async removeFile(filePath, changes = []) {
+    const before = await this.readExisting(filePath);
+    if (before === null) {
+      return;
+    }
+
+    changes.push({ path: filePath, action: 'delete', before, after: null });
+
+    if (this.dryRun) {
+      this.skillManager.stage(filePath, null);
+    } else {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Delete a skill directory (or stage its deletion in a dry run) and record the changes
+   */
+  async deleteSkill(skillPath, changes = []) {
+    const skillDir = path.dirname(skillPath);
+    const filePaths = new Set([skillPath]);
+
+    try {
+      const entries = await fs.readdir(skillDir, { withFileTypes: true });
+      entries.filter(entry => entry.isFile()).forEach(entry => filePaths.add(path.join(skillDir, entry.name)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    for (const stagedPath of this.skillManager.staged.keys()) {
+      if (path.dirname(stagedPath) === skillDir) {
+        filePaths.add(stagedPath);
+      }
+    }
+
+    for (const filePath of filePaths) {
+      const before = await this.readExisting(filePath);
+      if (before === null) continue;
+      changes.push({ path: filePath, action: 'delete', before, after: null });
+      if (this.dryRun) {
+        this.skillManager.stage(filePath, null);
+      }
+    }
+
+    if (!this.dryRun) {
+      await this.skillManager.removeSkill(skillPath);
+    }
+  }
+
+  /**
+   * Read a file's current content, or null if it does not exist
+   */
+  async readExisting(filePath) {
+    try {
+      return await this.skillManager.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
   }
 
   /**
    * Apply progressive disclosure pattern for large skills
    * Splits content into main SKILL.md and reference files
    */
-  async applyProgressiveDisclosure(skillData, sourceInfo, skillDir) {
+  async applyProgressiveDisclosure(skillData, sourceInfo, skillDir, changes = []) {
     const referenceFiles = [];
     
     // Build main SKILL.md with overview and references
@@ -138,7 +340,7 @@ description: ${enhancedDescription}
 
 ## Overview
 
-${this.makeConcise(skillData.instructions)}
+${this.renderInstructions(skillData)}
 
 `;
 
@@ -146,7 +348,7 @@ ${this.makeConcise(skillData.instructions)}
     if (skillData.badExample || skillData.goodExample) {
       const examplesContent = this.buildExamplesFile(skillData);
       const examplesPath = path.join(skillDir, 'EXAMPLES.md');
-      await fs.writeFile(examplesPath, examplesContent, 'utf-8');
+      await this.writeFile(examplesPath, examplesContent, changes);
       referenceFiles.push(examplesPath);
       
       mainContent += `## Examples\n\nSee [EXAMPLES.md](EXAMPLES.md) for code examples.\n\n`;
@@ -157,7 +359,7 @@ ${this.makeConcise(skillData.instructions)}
     if (categoryContent && categoryContent.length > 500) {
       const detailsContent = this.buildDetailsFile(skillData);
       const detailsPath = path.join(skillDir, 'DETAILS.md');
-      await fs.writeFile(detailsPath, detailsContent, 'utf-8');
+      await this.writeFile(detailsPath, detailsContent, changes);
       referenceFiles.push(detailsPath);
       
       const sectionName = skillData.category === 'anti-pattern' ? 'Anti-Pattern Details' : 'Best Practice Details';
@@ -203,27 +405,36 @@ ${this.makeConcise(skillData.instructions)}
 
   /**
    * Build source metadata comment
+   * The first recorded source is the primary one; the rest are listed as additional sources
    */
-  buildSourceMetadata(sourceInfo, additionalSources) {
+  buildSourceMetadata(sourceInfo, sources) {
+    const [primary, ...additionalSources] = sources && sources.length > 0 ? sources : [sourceInfo];
+
     let metadata = '\n<!--\n';
-    metadata += 'Source Metadata:\n';
-    if (sourceInfo?.pr) {
-      metadata += `PR: #${sourceInfo.pr}\n`;
+    metadata += 'Source Metadata (not visible to Claude):\n';
+    if (primary?.pr) {
+      metadata += `PR: #${primary.pr}\n`;
+    }
+    if (primary?.author) {
+      metadata += `Author: @${primary.author}\n`;
     }
-    if (sourceInfo?.author) {
-      metadata += `Author: @${sourceInfo.author}\n`;
+    if (primary?.date) {
+      metadata += `Date: ${primary.date}\n`;
     }
-    if (sourceInfo?.date) {
-      metadata += `Date: ${sourceInfo.date}\n`;
+    if (primary?.file) {
+      metadata += `File: ${primary.file}\n`;
     }
-    if (sourceInfo?.file) {
-      metadata += `File: ${sourceInfo.file}\n`;
+    if (primary?.commentId != null) {
+      metadata += `Comment: ${primary.commentId}\n`;
     }
-    if (additionalSources && additionalSources.length > 0) {
+    if (additionalSources.length > 0) {
       metadata += 'Additional sources:\n';
       additionalSources.forEach(source => {
+        const commentSuffix = source.commentId != null ? ` (comment ${source.commentId})` : '';
         if (source.pr) {
-          metadata += `  - PR #${source.pr} by @${source.author || 'unknown'}\n`;
+          metadata += `  - PR #${source.pr} by @${source.author || 'unknown'}${commentSuffix}\n`;
+        } else if (source.commentId != null) {
+          metadata += `  - Comment ${source.commentId} by @${source.author || 'unknown'}\n`;
         }
       });
     }
@@ -231,6 +442,27 @@ ${this.makeConcise(skillData.instructions)}
     return metadata;
   }
 
+  /**
+   * Render instructions, keeping each source comment's contribution delimited
+   * so it can later be replaced (edited comment) or removed (deleted comment)
+   */
+  renderInstructions(skillData) {
+    const contributions = skillData.contributions || [];
+    if (contributions.length === 0) {
+      return this.makeConcise(skillData.instructions);
+    }
+
+    return contributions
+      .map(contribution => {
+        const text = this.makeConcise(contribution.instructions);
+        if (contribution.id === null || contribution.id === undefined) {
+          return text;
+        }
+        return `<!-- contribution: ${contribution.id} -->\n${text}\n<!-- /contribution -->`;
+      })
+      .join('\n\n');
+  }
+
   /**
    * Build skill file content with YAML frontmatter
    * Follows best practices: concise, progressive disclosure, no time-sensitive info
@@ -239,7 +471,6 @@ ${this.makeConcise(skillData.instructions)}
     const {
       title,
       description,
-      instructions,
       antiPattern,
       bestPractice,
       badExample,
@@ -272,7 +503,7 @@ description: ${enhancedDescription}
 
     // Add instructions (main content)
     markdown += `## Instructions\n\n`;
-    markdown += `${this.makeConcise(instructions)}\n\n`;
+    markdown += `${this.renderInstructions(skillData)}\n\n`;
 
     // Add anti-pattern or best practice section
     if (category === 'anti-pattern' && antiPattern) {
@@ -300,29 +531,7 @@ description: ${enhancedDescription}
 
     // Source info in metadata format (not time-sensitive in main body)
     // Store as HTML comment to avoid cluttering skill but preserve attribution
-    let metadata = '\n<!--\n';
-    metadata += 'Source Metadata (not visible to Claude):\n';
-    if (sourceInfo?.pr) {
-      metadata += `PR: #${sourceInfo.pr}\n`;
-    }
-    if (sourceInfo?.author) {
-      metadata += `Author: @${sourceInfo.author}\n`;
-    }
-    if (sourceInfo?.date) {
-      metadata += `Date: ${sourceInfo.date}\n`;
-    }
-    if (sourceInfo?.file) {
-      metadata += `File: ${sourceInfo.file}\n`;
-    }
-    if (skillData.sources && skillData.sources.length > 1) {
-      metadata += 'Additional sources:\n';
-      skillData.sources.slice(1).forEach(source => {
-        if (source.pr) {
-          metadata += `  - PR #${source.pr} by @${source.author || 'unknown'}\n`;
-        }
-      });
-    }
-    metadata += '-->\n';
+    const metadata = this.buildSourceMetadata(sourceInfo, skillData.sources);
 
     return `${yaml}\n\n${markdown}${metadata}`;
   }
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+const ProcessingLedger = require('./utils/processing-ledger');
+const { loadConfig } = require('./utils/config');
+const { parseArgs } = require('./utils/cli-args');
+
+/**
+ * CLI script to query the processing ledger
+ *
+ * Usage:
+ *   node scripts/ledger.js comment 123456                    # What happened to comment 123456
+ *   node scripts/ledger.js skill path/to/SKILL.md            # Which comments produced this skill
+ *   node scripts/ledger.js skill path/to/SKILL.md --json
+ */
+async function main() {
+  const { flags, positionals } = parseArgs(process.argv.slice(2), { booleans: ['json'] });
+  const [command, target] = positionals;
+
+  if (!['comment', 'skill'].includes(command) || !target) {
+    throw new Error('Usage: ledger comment <comment-id> | ledger skill <path/to/SKILL.md> [--json]');
+  }
+
+  const config = loadConfig();
+  const ledger = await ProcessingLedger.load(config.ledgerFile, { rootDir: config.rootDir });
+
+  if (command === 'comment') {
+    const entry = ledger.get(target);
+    if (flags.json) {
+      console.log(JSON.stringify(entry, null, 2));
+    } else if (!entry) {
+      console.log(`Comment ${target} has not been processed`);
+    } else {
+      printEntry(target, entry);
+    }
+    process.exit(entry ? 0 : 1);
+  }
+
+  const comments = ledger.commentsForSkill(target);
+  if (flags.json) {
+    console.log(JSON.stringify(comments, null, 2));
+  } else if (comments.length === 0) {
+    console.log(`No recorded comments produced ${target}`);
+  } else {
+    console.log(`${comments.length} comment(s) produced ${target}:\n`);
+    comments.forEach(({ commentId, ...entry }) => printEntry(commentId, entry));
+  }
+  process.exit(comments.length > 0 ? 0 : 1);
+}
+
+function printEntry(commentId, entry) {
+  const source = [entry.pr ? `PR #${entry.pr}` : null, entry.author ? `@${entry.author}` : null]
+    .filter(Boolean)
+    .join(' by ');
+  console.log(`Comment ${commentId}${source ? ` (${source})` : ''}: ${entry.outcome}`);
+  if (entry.skillName) console.log(`  Skill: ${entry.skillName}`);
+  entry.skills.forEach(skillPath => console.log(`  Path: ${skillPath}`));
+  if (entry.reason) console.log(`  Reason: ${entry.reason}`);
+  console.log(`  Processed: ${entry.processedAt}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
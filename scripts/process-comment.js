@@ -1,132 +1,156 @@
 const fs = require('fs').promises;
-const path = require('path');
-const GitHubAPI = require('./utils/github-api');
-const AIProcessor = require('./utils/ai-processor');
-const SkillGenerator = require('./generate-skill');
-const SkillManager = require('./utils/skill-manager');
+const CommentPipeline = require('./utils/comment-pipeline');
+const SkillPublisher = require('./utils/skill-publisher');
+const SkillNotifier = require('./utils/skill-notifier');
+const { loadConfig } = require('./utils/config');
+const { parseArgs } = require('./utils/cli-args');
+const { selectPlatform } = require('./utils/platforms');
+const { buildPlan, formatPlan } = require('./utils/skill-plan');
 
 /**
  * Main script to process PR comments and generate skills
+ * Runs on GitHub Actions events, or on GitLab Note Hook payloads (PR_SKILLS_PLATFORM=gitlab or inside GitLab CI)
+ *
+ * Options:
+ *   --dry-run   Print the planned skill changes without writing files (or PR_SKILLS_DRY_RUN=true)
+ *   --json      Print the dry-run plan as JSON on stdout; progress logs go to stderr
  */
 async function main() {
+  const { flags } = parseArgs(process.argv.slice(2), { booleans: ['dryRun', 'json'] });
+  const dryRun = Boolean(flags.dryRun) || ['true', '1'].includes(process.env.PR_SKILLS_DRY_RUN);
+  const json = dryRun && Boolean(flags.json);
+
+  if (json) {
+    // Keep stdout for the plan
+    console.log = console.error;
+  }
+
   try {
-    // Load GitHub event data
-    const eventPath = process.env.GITHUB_EVENT_PATH;
+    // Load event data; triggered GitLab pipelines get the webhook payload in TRIGGER_PAYLOAD
+    const eventPath = process.env.GITHUB_EVENT_PATH || process.env.TRIGGER_PAYLOAD;
     if (!eventPath) {
-      throw new Error('GITHUB_EVENT_PATH environment variable not set');
+      throw new Error('GITHUB_EVENT_PATH (or TRIGGER_PAYLOAD on GitLab) environment variable not set');
     }
 
     const eventData = JSON.parse(await fs.readFile(eventPath, 'utf-8'));
-    
-    // Check if this is a PR comment
-    if (!eventData.issue?.pull_request) {
-      console.log('Not a pull request comment, skipping...');
+
+    // Normalize the platform's comment payloads into the same comment data
+    const Platform = selectPlatform(process.env);
+    const routed = Platform.routeEvent(process.env.GITHUB_EVENT_NAME, eventData);
+
+    if (routed.skipped) {
+      console.log(`${routed.reason}, skipping...`);
+      if (json) printPlan({ status: 'skipped', reason: routed.reason }, null, true);
       process.exit(0);
     }
 
-    // Extract comment data
-    const comment = eventData.comment;
-    const issue = eventData.issue;
-    const repository = eventData.repository;
+    const { prNumber } = routed;
+    let { comment } = routed;
+    const config = loadConfig();
+    const threadAware = config.threadAware;
 
-    if (!comment) {
-      console.log('No comment found in event data');
+    if (SkillNotifier.isNotification(comment.body)) {
+      console.log('Comment is a skill notification reply, skipping...');
       process.exit(0);
     }
 
-    console.log(`Processing comment from @${comment.user.login} on PR #${issue.number}`);
-
-    // Initialize components
-    const githubToken = process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable not set');
+    if (routed.event === 'pull_request_review_thread' && !threadAware) {
+      console.log('Review thread events are only used in thread-aware mode, skipping...');
+      process.exit(0);
     }
 
-    const { owner, repo } = GitHubAPI.parseRepository(repository.full_name);
-    const githubAPI = new GitHubAPI(githubToken, owner, repo);
+    console.log(`Processing ${routed.event} from @${comment.author} on PR #${prNumber}`);
 
-    const cursorApiKey = process.env.CURSOR_API_KEY;
-    const aiProcessor = new AIProcessor(cursorApiKey);
+    // Initialize components
+    const platform = Platform.fromEnvironment(routed.repository);
 
-    const skillGenerator = new SkillGenerator();
-    const skillManager = new SkillManager();
+    // Fill in what the payload did not carry (the diff hunk of a GitLab note, for one)
+    try {
+      comment = await platform.getCommentDetails(comment);
+    } catch (error) {
+      console.warn('Could not fetch comment details:', error.message);
+    }
 
-    // Get PR number
-    const prNumber = issue.number;
+    const pipeline = await CommentPipeline.create(config, {
+      platform,
+      policyFile: process.env.PR_SKILLS_POLICY_FILE,
+      dryRun
+    });
 
-    // Try to get the specific review comment (if it's a review comment)
-    let diffHunk = '';
-    let filePath = '';
-    let commentId = comment.id;
+    // In pull-request mode, skills are merged against the open skills PR and the changes are proposed there
+    if (config.publish.mode === 'pull-request' && platform.name !== 'github') {
+      throw new Error(`publish.mode "pull-request" is not supported on ${platform.name}`);
+    }
+    const publisher = !dryRun && config.publish.mode === 'pull-request'
+      ? new SkillPublisher(platform.api, config)
+      : null;
+    if (publisher) {
+      await publisher.sync();
+    }
 
-    try {
-      // Check if this is a review comment (has path and position)
-      if (comment.path) {
-        filePath = comment.path;
-        // Try to get the review comment details
-        try {
-          const reviewComment = await githubAPI.getPRComment(commentId);
-          diffHunk = reviewComment.diff_hunk || '';
-          filePath = reviewComment.path || filePath;
-        } catch (error) {
-          console.warn('Could not fetch review comment details:', error.message);
-        }
+    // Reviewers get a reply on their comment linking the skill it became
+    const notifier = !dryRun && config.replyToComments
+      ? new SkillNotifier(platform, { rootDir: config.rootDir, ref: publisher ? publisher.branch : 'HEAD' })
+      : null;
+
+    // A deleted reply changes the conversation, so the thread is evaluated again from its root
+    const reevaluateThread = routed.action === 'deleted' && threadAware && Boolean(comment.inReplyToId);
+
+    // Deleted comments take back whatever they contributed
+    if (routed.action === 'deleted' && !reevaluateThread) {
+      const retraction = await pipeline.retract(comment);
+      if (dryRun) {
+        printPlan(retraction, comment.id, json);
+      } else if (retraction.status === 'skipped') {
+        console.log(`${retraction.reason}, nothing to retract`);
       } else {
-        // Regular issue comment - try to get PR diff to find context
-        console.log('Regular issue comment, attempting to extract context from PR...');
-        try {
-          const pr = await githubAPI.getPR(prNumber);
-          // For regular comments, we'll use the comment body as context
-          diffHunk = '';
-        } catch (error) {
-          console.warn('Could not fetch PR details:', error.message);
-        }
+        retraction.paths.forEach(skillPath => {
+          const removed = retraction.removed.includes(skillPath);
+          console.log(`✅ ${removed ? 'Removed skill' : 'Retracted contribution from'}: ${skillPath}`);
+        });
+        const pullRequest = publisher
+          ? await publisher.publish(retraction.changes, buildEntry(comment, comment.id, retraction))
+          : null;
+        await notify(notifier, comment, retraction, pullRequest);
       }
-    } catch (error) {
-      console.warn('Error fetching comment context:', error.message);
+      process.exit(0);
     }
 
-    // Prepare comment data for AI processing
-    const commentData = {
-      body: comment.body,
-      filePath: filePath,
-      diffHunk: diffHunk,
-      author: comment.user.login
-    };
-
-    // Process comment with AI
     console.log('Processing comment with AI...');
-    const aiResult = await aiProcessor.processComment(commentData);
+    const sourceId = reevaluateThread ? comment.inReplyToId : comment.id;
+    const result = await pipeline.process({ ...comment, id: sourceId });
 
-    // Check if we should create a skill
-    if (aiResult.category === 'neutral' || aiResult.confidence < 0.3) {
-      console.log(`Comment categorized as ${aiResult.category} with confidence ${aiResult.confidence}, skipping skill creation`);
+    if (dryRun) {
+      printPlan(result, comment.id, json);
       process.exit(0);
     }
 
-    // Detect domain if not provided
-    if (aiResult.domain === 'general') {
-      aiResult.domain = skillManager.detectDomain(filePath, comment.body);
+    if (result.status === 'skipped') {
+      console.log(`${result.reason}, skipping skill creation`);
+      process.exit(0);
     }
 
-    // Prepare source information
-    const sourceInfo = {
-      pr: prNumber,
-      author: comment.user.login,
-      date: new Date().toISOString().split('T')[0],
-      file: filePath || 'N/A'
-    };
-
-    // Generate skill file
-    console.log(`Generating skill: ${aiResult.skillName} (${aiResult.category})`);
-    const result = await skillGenerator.generateSkill(aiResult, sourceInfo);
-
-    if (result.isNew) {
-      console.log(`✅ Created new skill: ${result.path}`);
+    if (result.status === 'retracted') {
+      console.log(`✅ ${result.reason}: ${result.paths.join(', ')}`);
     } else {
-      console.log(`✅ Updated existing skill: ${result.path}`);
+      result.insights.forEach(insight => {
+        if (insight.status === 'created') {
+          console.log(`✅ Created new skill: ${insight.path}`);
+        } else if (insight.status === 'updated') {
+          console.log(`✅ Replaced edited comment's contribution in: ${insight.path}`);
+        } else if (insight.status === 'merged') {
+          console.log(`✅ Updated existing skill: ${insight.path}`);
+        } else {
+          console.log(`⏭️ Skipped insight ${insight.skillName || ''}: ${insight.reason}`);
+        }
+      });
     }
 
+    const pullRequest = publisher
+      ? await publisher.publish(result.changes, buildEntry(comment, sourceId, result))
+      : null;
+    await notify(notifier, { ...comment, id: sourceId }, result, pullRequest);
+
     console.log('Skill extraction completed successfully');
 
   } catch (error) {
@@ -135,6 +159,42 @@ async function main() {
   }
 }
 
+/**
+ * Describe a processed comment for the skills PR body
+ */
+function buildEntry(comment, commentId, result) {
+  return {
+    commentId,
+    url: comment.url,
+    author: comment.author,
+    pr: comment.pr,
+    status: result.status,
+    skillName: result.skillName,
+    category: result.category,
+    path: result.path || result.paths?.[0]
+  };
+}
+
+/**
+ * Reply on the source comment; a failed reply does not fail the run
+ */
+async function notify(notifier, commentData, result, pullRequest) {
+  if (!notifier) return;
+  try {
+    await notifier.notify(commentData, result, { pullRequest });
+  } catch (error) {
+    console.warn('Could not reply to the source comment:', error.message);
+  }
+}
+
+/**
+ * Print the planned skill changes of a dry run
+ */
+function printPlan(result, id, json) {
+  const plan = buildPlan(result, { id });
+  process.stdout.write(`${json ? JSON.stringify(plan, null, 2) : formatPlan(plan)}\n`);
+}
+
 // Run if called directly
 if (require.main === module) {
   main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const CommentClassifier = require('./utils/comment-classifier');
+const SkillManager = require('./utils/skill-manager');
+const { loadConfig } = require('./utils/config');
+const { parseArgs } = require('./utils/cli-args');
+const { parseRecords } = require('./batch-ingest');
+
+const LABELS = ['anti-pattern', 'best-practice', 'neutral'];
+
+/**
+ * CLI script to train the offline comment classifier used when no AI provider answers
+ * Learns from the skills in skillsDir (their category folder is the label) and from labelled
+ * comment files: a JSON array or JSONL of { body, category } records
+ *
+ * Usage:
+ *   node scripts/train-classifier.js                                # Existing skills only
+ *   node scripts/train-classifier.js labelled.jsonl more.json       # Skills plus labelled comments
+ *   node scripts/train-classifier.js labelled.jsonl --no-skills --output model.json --folds 10
+ */
+async function main() {
+  const { flags, positionals } = parseArgs(process.argv.slice(2), { booleans: ['noSkills'] });
+  const config = loadConfig();
+  const output = flags.output || config.classifier.modelFile;
+  const folds = flags.folds ? parseInt(flags.folds, 10) : 5;
+  if (!Number.isInteger(folds) || folds < 2) {
+    throw new Error(`--folds must be an integer of at least 2, got "${flags.folds}"`);
+  }
+
+  const examples = [];
+  for (const inputPath of positionals) {
+    const labelled = labelledExamples(parseRecords(await fs.readFile(inputPath, 'utf-8')), inputPath);
+    console.log(`Loaded ${labelled.length} labelled comments from ${inputPath}`);
+    examples.push(...labelled);
+  }
+  if (!flags.noSkills) {
+    const skillManager = new SkillManager(config.skillsDir, config);
+    const fromSkills = skillExamples(await skillManager.getAllSkills());
+    console.log(`Loaded ${fromSkills.length} examples from the skills in ${config.skillsDir}`);
+    examples.push(...fromSkills);
+  }
+
+  const classifier = new CommentClassifier({ labels: LABELS }).train(examples);
+  const trained = classifier.trainedLabels();
+  if (trained.length < 2) {
+    throw new Error(`Need examples of at least two categories to train, got: ${trained.join(', ') || 'none'}`);
+  }
+
+  const { temperature, accuracy, evaluated } = classifier.calibrate(shuffle(examples), { folds });
+  await classifier.save(output);
+
+  console.log('\n════════════════════════════════════════════');
+  console.log('Classifier trained');
+  console.log('════════════════════════════════════════════');
+  LABELS.forEach(label => console.log(`${label}: ${classifier.docCounts[label]} examples`));
+  console.log(`Vocabulary: ${classifier.vocabulary.size} terms`);
+  if (accuracy !== null) {
+    console.log(`Cross-validated accuracy: ${(accuracy * 100).toFixed(1)}% over ${evaluated} held-out examples (${folds} folds)`);
+  }
+  console.log(`Confidence temperature: ${temperature}`);
+  if (!trained.includes('neutral')) {
+    console.log('No neutral examples: every comment will be read as actionable. Add labelled neutral comments to fix this.');
+  }
+  console.log(`\nModel written to ${output}`);
+}
+
+/**
+ * Turn labelled comment records into examples, skipping records without a usable body or category
+ */
+function labelledExamples(records, source) {
+  const examples = [];
+  records.forEach((record, index) => {
+    const category = record?.category;
+    if (typeof record?.body !== 'string' || !record.body.trim() || !LABELS.includes(category)) {
+      console.warn(`Skipping record ${index + 1} of ${source}: needs a "body" and a "category" of ${LABELS.join(', ')}`);
+      return;
+    }
+    examples.push({ text: record.body, label: category });
+  });
+  return examples;
+}
+
+/**
+ * One example per contribution of each skill, plus one for its summary
+ * Skills outside the anti-patterns and best-practices folders carry no category
+ */
+function skillExamples(skills) {
+  return skills
+    .filter(skill => LABELS.includes(skill.category))
+    .flatMap(skill => [
+      ...skill.contributions.map(contribution => contribution.instructions),
+      [skill.title, skill.description, skill.antiPattern, skill.bestPractice].filter(Boolean).join('\n')
+    ]
+      .filter(text => text.trim())
+      .map(text => ({ text, label: skill.category })));
+}
+
+/**
+ * Shuffle examples with a fixed seed so folds mix sources and categories, and runs are repeatable
+ */
+function shuffle(examples) {
+  const result = [...examples];
+  let seed = 42;
+  for (let i = result.length - 1; i > 0; i--) {
+    seed = (seed * 16807) % 2147483647;
+    const j = seed % (i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, labelledExamples, skillExamples };
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['off', 'read-write', 'cache-only'];
+const CACHE_VERSION = 1;
+// Pruning evicts down to this share of the size cap, so the writes right after it do not scan the cache again
+const PRUNE_TARGET = 0.9;
+
+/**
+ * Content-addressed on-disk cache of AI responses
+ * Entries are keyed by a hash of the provider, model, sampling parameters and the full prompt,
+ * so any change to the request misses; the least recently used entries go first when the cache is over its size cap
+ */
+class AIResponseCache {
+  /**
+   * mode: read-write, or cache-only to fail on a miss instead of calling a provider
+   * ttlHours: age after which an entry is ignored and removed (0 keeps entries forever)
+   * maxSizeMB: size cap of the cache directory (0 for no cap)
+   */
+  constructor(dir, { mode = 'read-write', ttlHours = 720, maxSizeMB = 100 } = {}) {
+    this.dir = dir;
+    this.mode = mode;
+    this.ttl = ttlHours * 60 * 60 * 1000;
+    this.maxBytes = maxSizeMB * 1024 * 1024;
+    // Running total of the entry sizes, counted on the first write; other processes sharing the
+    // directory make it drift, which the next prune corrects
+    this.size = null;
+  }
+
+  /**
+   * Create the cache for ai.cache settings, or null when caching is off
+   */
+  static create(settings = {}) {
+    const mode = settings.mode || 'off';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown AI cache mode "${mode}" (expected one of: ${MODES.join(', ')})`);
+    }
+    return mode === 'off' ? null : new AIResponseCache(settings.dir || '.pr-skills-cache', settings);
+  }
+
+  get cacheOnly() {
+    return this.mode === 'cache-only';
+  }
+
+  /**
+   * Key a request; every field that changes the response is part of it
+   */
+  key(provider, { system, prompt }) {
+    return crypto.createHash('sha256').update(JSON.stringify([
+      CACHE_VERSION,
+      provider.constructor.name,
+      provider.baseURL,
+      provider.model,
+      provider.temperature,
+      provider.maxTokens,
+      system,
+      prompt
+    ])).digest('hex');
+  }
+
+  filePath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Get a cached response text, or null on a miss
+   * Expired entries are removed; a hit refreshes the entry's place in the eviction order
+   */
+  async get(key) {
+    const filePath = this.filePath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.warn(`Ignoring unreadable AI cache entry ${filePath}: ${error.message}`);
+      return null;
+    }
+
+    if (this.ttl > 0 && Date.now() - Date.parse(entry.createdAt) > this.ttl) {
+      await this.delete(key);
+      return null;
+    }
+
+    const now = new Date();
+    await fs.utimes(filePath, now, now).catch(() => {});
+    return entry.response;
+  }
+
+  /**
+   * Store a response and evict old entries if the cache grew past its cap
+   */
+  async set(key, response, { provider = null, model = null } = {}) {
+    const filePath = this.filePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = { provider, model, createdAt: new Date().toISOString(), response };
+    const content = `${JSON.stringify(entry, null, 2)}\n`;
+
+    if (this.maxBytes > 0 && this.size === null) {
+      this.size = (await this.listEntries()).reduce((sum, cached) => sum + cached.size, 0);
+    }
+    const replaced = await this.entrySize(filePath);
+    await fs.writeFile(filePath, content, 'utf-8');
+
+    if (this.size !== null) {
+      this.size += Buffer.byteLength(content) - replaced;
+      if (this.size > this.maxBytes) {
+        await this.prune();
+      }
+    }
+  }
+
+  /**
+   * Remove an entry, e.g. a response that no longer passes validation
+   */
+  async delete(key) {
+    const filePath = this.filePath(key);
+    const size = await this.entrySize(filePath);
+    await fs.rm(filePath, { force: true });
+    if (this.size !== null) {
+      this.size -= size;
+    }
+  }
+
+  /**
+   * Remove the least recently used entries until the cache is back under its size cap, with some room to spare
+   */
+  async prune() {
+    const entries = await this.listEntries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of entries) {
+      if (total <= this.maxBytes * PRUNE_TARGET) break;
+      await fs.rm(entry.path, { force: true });
+      total -= entry.size;
+    }
+    this.size = total;
+  }
+
+  async entrySize(filePath) {
+    try {
+      return (await fs.stat(filePath)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  async listEntries() {
+    const entries = [];
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return entries;
+      throw error;
+    }
+
+    for (const shard of shards.filter(dirent => dirent.isDirectory())) {
+      const shardDir = path.join(this.dir, shard.name);
+      for (const name of await fs.readdir(shardDir)) {
+        if (!name.endsWith('.json')) continue;
+        const filePath = path.join(shardDir, name);
+        const stat = await fs.stat(filePath);
+        entries.push({ path: filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = AIResponseCache;
@@ -1,37 +1,152 @@
-const https = require('https');
+const { DEFAULT_CONFIG } = require('./config');
+const { createProvider } = require('./ai-providers');
+const AIResponseValidator = require('./ai-response-validator');
+const AIResponseCache = require('./ai-cache');
+const { parseSuggestion } = require('./suggestion-parser');
+
+// Keyword categorization confidence: a base plus a step per matched keyword, capped below the default confidenceThreshold
+const KEYWORD_BASE_CONFIDENCE = 0.1;
+const KEYWORD_HIT_CONFIDENCE = 0.05;
+const KEYWORD_MAX_CONFIDENCE = 0.25;
+
+const SYSTEM_PROMPT = 'You are an expert at analyzing code review comments and extracting actionable knowledge for AI coding assistants.';
 
 /**
  * AI processor for categorizing comments and extracting insights
  */
 class AIProcessor {
-  constructor(apiKey, provider = 'cursor') {
-    this.apiKey = apiKey;
+  /**
+   * provider names the first entry of ai.providers to try; options.fallback lists the ones tried after it
+   * apiKey, when given, is used for that first provider instead of its apiKeyEnv variable
+   * options.classifier is a trained CommentClassifier that categorizes comments when no provider answers
+   * options.cache configures the response cache (see ai-cache.js); it is off by default
+   */
+  constructor(apiKey, provider = 'cursor', options = {}) {
+    const ai = {
+      ...DEFAULT_CONFIG.ai,
+      ...options,
+      models: { ...DEFAULT_CONFIG.ai.models, ...options.models },
+      providers: { ...DEFAULT_CONFIG.ai.providers, ...options.providers }
+    };
+    const fallback = options.fallback || DEFAULT_CONFIG.ai.fallback;
+
     this.provider = provider;
+    this.providers = [provider, ...fallback.filter(name => name !== provider)].map((name, index) =>
+      createProvider(name, ai, { apiKey: index === 0 ? apiKey : null, env: options.env, transport: options.transport })
+    );
+    this.domains = (options.domains || DEFAULT_CONFIG.domains).map(domain => domain.name);
+    this.repairAttempts = ai.repairAttempts;
+    this.maxInsights = ai.maxInsights;
+    this.validator = new AIResponseValidator({ domains: this.domains, maxInsights: this.maxInsights });
+    this.classifier = options.classifier || null;
+    this.cache = AIResponseCache.create(ai.cache);
   }
 
   /**
-   * Categorize a comment and extract actionable insights
+   * Categorize a comment and extract its independent insights
+   * Returns { insights, threadOutcome, examples }; insights is empty when the comment has nothing actionable
+   * A review thread the AI could not process returns no insights and the failure as error instead of falling back
+   * A suggestion block becomes examples ({ badExample, goodExample }, otherwise null) directly; only the prose
+   * is categorized, and the caller attaches the examples to the insight it keeps
    */
   async processComment(commentData) {
-    const { body, filePath, diffHunk, author } = commentData;
+    const { body, filePath, diffHunk, author, thread, codeContext } = commentData;
+
+    const suggestion = parseSuggestion(body, diffHunk, {
+      line: commentData.line,
+      startLine: commentData.startLine,
+      side: commentData.side || undefined
+    });
+    const prose = suggestion ? suggestion.prose : body;
 
-    const prompt = this.buildPrompt(body, filePath, diffHunk, author);
+    const prompt = this.buildPrompt(prose, filePath, diffHunk, author, { thread, suggestion, codeContext });
     
+    let result;
     try {
-      const response = await this.callAI(prompt);
-      return this.parseResponse(response);
+      result = await this.requestInsight(prompt, { thread: Boolean(thread) });
     } catch (error) {
-      console.error('AI processing error:', error);
-      // Fallback to simple keyword-based categorization
-      return this.fallbackCategorization(body);
+      // Replays and cache-only runs must fail on requests they have no answer for rather than fall back silently
+      if (error.code === 'ENOCASSETTE' || error.code === 'ECACHEMISS') throw error;
+      // Keywords cannot judge how a conversation ended, and the root comment alone may state what the thread overturned
+      if (thread) {
+        console.error('AI processing error for review thread:', error.message);
+        return { insights: [], threadOutcome: null, examples: null, error: error.message };
+      }
+      if (error.code === 'ENOPROVIDER') {
+        console.log(`${error.message}, categorizing ${this.classifier ? 'with the offline classifier' : 'by keywords'}`);
+      } else {
+        console.error('AI processing error:', error);
+      }
+      // Fallback to the offline classifier, or keyword-based categorization without one
+      result = { insights: [this.fallbackCategorization(prose)], threadOutcome: null };
     }
+
+    const examples = suggestion ? { badExample: suggestion.badExample, goodExample: suggestion.goodExample } : null;
+    return { ...result, examples };
+  }
+
+  /**
+   * Ask for an insight and validate the answer against the response schema
+   * A response that fails is sent back with its violations, up to repairAttempts times
+   * Only a response that passes is cached, under the original prompt, so a rerun neither replays a bad answer
+   * nor repeats the repair
+   */
+  async requestInsight(prompt, { thread = false } = {}) {
+    let request = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+      const { response, provider, cacheKey } = await this.callAI(request);
+
+      let parsed = null;
+      let violations;
+      try {
+        parsed = this.parseResponse(response);
+        violations = this.validator.validate(parsed, { thread });
+      } catch (error) {
+        violations = [error.message];
+      }
+
+      if (violations.length === 0) {
+        if (provider && this.cache) {
+          const key = this.cache.key(provider, { system: SYSTEM_PROMPT, prompt });
+          await this.cache.set(key, response, { provider: provider.name, model: provider.model });
+        }
+        return this.normalizeResponse(parsed);
+      }
+      // A cached answer fails when the rules got stricter since it was stored; a cache-only run keeps it
+      if (cacheKey && !this.cache.cacheOnly) {
+        await this.cache.delete(cacheKey);
+      }
+      if (attempt >= this.repairAttempts) {
+        throw new Error(`AI response failed validation after ${attempt + 1} attempt(s): ${violations.join('; ')}`);
+      }
+
+      console.warn(`AI response failed validation, asking for a correction (${violations.length} issue(s))`);
+      request = this.buildRepairPrompt(prompt, response, violations);
+    }
+  }
+
+  /**
+   * Build the follow-up prompt for a response that failed validation
+   * Providers are called without history, so the original prompt is repeated
+   */
+  buildRepairPrompt(prompt, response, violations) {
+    return `${prompt}
+
+Your previous response was:
+${response}
+
+It was rejected for these reasons:
+${violations.map(violation => `- ${violation}`).join('\n')}
+
+Fix every issue listed and return the complete corrected JSON only.`;
   }
 
   /**
    * Build the prompt for AI processing
    * Follows Claude Skill authoring best practices for concise, effective skills
    */
-  buildPrompt(commentBody, filePath, diffHunk, author) {
+  buildPrompt(commentBody, filePath, diffHunk, author, extras = {}) {
     return `Analyze this code review comment and extract actionable knowledge for a Claude AI Skill.
 
 Comment: "${commentBody}"
@@ -41,7 +156,7 @@ Code Context:
 \`\`\`
 ${diffHunk || 'No diff available'}
 \`\`\`
-
+${extras.suggestion ? `\nSuggested Change:\n\`\`\`\n${extras.suggestion.goodExample}\n\`\`\`\n` : ''}${extras.codeContext ? `\nSurrounding Code:\n${extras.codeContext}\n` : ''}${this.buildThreadSection(extras.thread)}
 IMPORTANT GUIDELINES FOR GENERATING SKILL CONTENT:
 
 1. **Conciseness**: Claude is already very smart. Only include context Claude doesn't already have. Challenge each piece of information - does it justify its token cost?
@@ -56,203 +171,174 @@ IMPORTANT GUIDELINES FOR GENERATING SKILL CONTENT:
 
 4. **Instructions**: Be specific but concise. Provide a default approach, not multiple options. Use pseudocode or examples only when necessary.
 
-5. **Examples**: Only include if they add value. Keep them minimal and focused.
+5. **Examples**: ${extras.suggestion
+    ? 'The reviewer\'s suggested change is already used as the examples of the first insight. List the point it addresses first and leave badExample and goodExample empty.'
+    : 'Only include if they add value. Keep them minimal and focused.'}
+
+6. **Separate points**: A comment can raise several unrelated points (say a memory leak, a naming convention and a missing test). Return one insight per independent point, each with its own category, domain and examples, at most ${this.maxInsights}. Do not split one point into several insights. Return an empty list if nothing in the comment is actionable.
 
 Return JSON in this format:
 {
-  "category": "anti-pattern" | "best-practice" | "neutral",
-  "confidence": 0.0-1.0,
-  "skillName": "gerund-form-kebab-case-name",
-  "title": "Concise Skill Title",
-  "description": "Third-person description of what the skill does AND when to use it. Include key terms for discovery.",
-  "instructions": "Clear, concise actionable guidance. Assume Claude knows common patterns.",
-  "antiPattern": "What to avoid - be specific and brief (if anti-pattern)",
-  "bestPractice": "What to do - be specific and brief (if best-practice)",
-  "badExample": "Minimal bad code example (only if essential)",
-  "goodExample": "Minimal good code example (only if essential)",
-  "domain": "ohif" | "cornerstone3d" | "general",
-  "keywords": ["keyword1", "keyword2"]
+  "insights": [
+    {
+      "category": "anti-pattern" | "best-practice" | "neutral",
+      "confidence": 0.0-1.0,
+      "skillName": "gerund-form-kebab-case-name",
+      "title": "Concise Skill Title",
+      "description": "Third-person description of what the skill does AND when to use it. Include key terms for discovery.",
+      "instructions": "Clear, concise actionable guidance. Assume Claude knows common patterns.",
+      "antiPattern": "What to avoid - be specific and brief (if anti-pattern)",
+      "bestPractice": "What to do - be specific and brief (if best-practice)",
+      "badExample": "Minimal bad code example (only if essential)",
+      "goodExample": "Minimal good code example (only if essential)",
+      "domain": ${[...this.domains, 'general'].map(domain => `"${domain}"`).join(' | ')},
+      "keywords": ["keyword1", "keyword2"]
+    }
+  ]${extras.thread ? `,
+  "threadOutcome": "consensus" | "disagreement" | "withdrawn"` : ''}
 }
 
 Only return valid JSON, no additional text.`;
   }
 
   /**
-   * Call AI API (using Cursor API or OpenAI-compatible endpoint)
+   * Build the review thread section of the prompt
+   * Gives the model the whole conversation so it extracts the final consensus
    */
-  async callAI(prompt) {
-    if (!this.apiKey) {
-      throw new Error('AI API key not provided');
+  buildThreadSection(thread) {
+    if (!thread) {
+      return '';
     }
 
-    // Try Cursor API first, fallback to OpenAI-compatible
-    try {
-      return await this.callCursorAPI(prompt);
-    } catch (error) {
-      console.warn('Cursor API failed, trying OpenAI-compatible:', error.message);
-      return await this.callOpenAICompatible(prompt);
+    const conversation = thread.comments
+      .map((comment, index) => `${index === 0 ? 'Original' : 'Reply'} (@${comment.author}): "${comment.body}"`)
+      .join('\n');
+
+    let status = thread.isResolved ? 'resolved' : 'unresolved';
+    if (thread.suggestionApplied) {
+      status += ', suggestion applied';
     }
-  }
 
-  /**
-   * Call Cursor API
-   */
-  async callCursorAPI(prompt) {
-    // Cursor API endpoint (adjust if needed)
-    const url = 'https://api.cursor.com/v1/chat/completions';
-    
-    return this.makeAPIRequest(url, {
-      model: 'claude-3-5-sonnet-20241022',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert at analyzing code review comments and extracting actionable knowledge for AI coding assistants.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
-    });
+    return `
+Review Thread (${status}):
+${conversation}
+
+The comment above is the start of this review thread. Base the skill on what the conversation finally agreed on, not on the original remark alone. Set "threadOutcome" to "disagreement" if the participants did not agree, or "withdrawn" if the reviewer retracted or was shown to be wrong.
+`;
   }
 
   /**
-   * Call OpenAI-compatible API
+   * Call the providers in order until one answers
+   * Providers without credentials are skipped; the last error is thrown when none succeeds
+   * With the response cache on, a cached answer from any provider in the chain is used first
+   * Returns { response, provider, cacheKey }: the provider that answered, or null and the key of the cache entry used
    */
-  async callOpenAICompatible(prompt) {
-    const url = 'https://api.openai.com/v1/chat/completions';
-    
-    return this.makeAPIRequest(url, {
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert at analyzing code review comments and extracting actionable knowledge for AI coding assistants.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
-    });
+  async callAI(prompt) {
+    const request = { system: SYSTEM_PROMPT, prompt };
+
+    if (this.cache) {
+      const cached = await this.getCached(request);
+      if (cached !== null) {
+        return { response: cached.response, provider: null, cacheKey: cached.key };
+      }
+      if (this.cache.cacheOnly) {
+        const error = new Error(`No cached AI response for this prompt in ${this.cache.dir} (cache-only mode)`);
+        error.code = 'ECACHEMISS';
+        throw error;
+      }
+    }
+
+    const available = this.providers.filter(provider => provider.isConfigured());
+    if (available.length === 0) {
+      const error = new Error(`No AI provider is configured (tried ${this.providers.map(p => p.name).join(', ')})`);
+      error.code = 'ENOPROVIDER';
+      throw error;
+    }
+
+    let lastError;
+    for (const provider of available) {
+      try {
+        const response = await provider.complete(request);
+        return { response, provider, cacheKey: null };
+      } catch (error) {
+        if (error.code === 'ENOCASSETTE') throw error;
+        console.warn(`AI provider ${provider.name} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw lastError;
   }
 
   /**
-   * Make HTTP request to AI API
+   * Look up a request in the cache for each provider of the chain
+   * Cache-only runs need no credentials, so unconfigured providers are looked up too
+   * Returns { response, key } or null
    */
-  async makeAPIRequest(url, body) {
-    return new Promise((resolve, reject) => {
-      const urlObj = new URL(url);
-      const postData = JSON.stringify(body);
-
-      const options = {
-        hostname: urlObj.hostname,
-        path: urlObj.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Length': Buffer.byteLength(postData)
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            try {
-              const response = JSON.parse(data);
-              const content = response.choices[0]?.message?.content || '';
-              resolve(content);
-            } catch (e) {
-              reject(new Error(`Failed to parse AI response: ${e.message}`));
-            }
-          } else {
-            reject(new Error(`AI API error: ${res.statusCode} - ${data}`));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.write(postData);
-      req.end();
-    });
+  async getCached(request) {
+    for (const provider of this.providers) {
+      if (!this.cache.cacheOnly && !provider.isConfigured()) continue;
+      const key = this.cache.key(provider, request);
+      const response = await this.cache.get(key);
+      if (response !== null) {
+        return { response, key };
+      }
+    }
+    return null;
   }
 
   /**
-   * Parse AI response JSON
+   * Parse the JSON object in an AI response, allowing for a markdown code block or text around it
    */
   parseResponse(responseText) {
-    try {
-      // Extract JSON from response (handle markdown code blocks)
-      let jsonText = responseText.trim();
-      if (jsonText.startsWith('```')) {
-        const match = jsonText.match(/```(?:json)?\n([\s\S]*?)\n```/);
-        if (match) {
-          jsonText = match[1];
-        }
-      }
+    let jsonText = (responseText || '').trim();
+    const fence = jsonText.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+    if (fence) {
+      jsonText = fence[1];
+    } else if (!jsonText.startsWith('{')) {
+      jsonText = jsonText.slice(jsonText.indexOf('{'), jsonText.lastIndexOf('}') + 1);
+    }
 
-      const parsed = JSON.parse(jsonText);
-      
-      // Validate and set defaults
-      return {
-        category: parsed.category || 'neutral',
-        confidence: parsed.confidence || 0.5,
-        skillName: parsed.skillName || 'unknown-skill',
-        title: parsed.title || 'Untitled Skill',
-        description: parsed.description || '',
-        instructions: parsed.instructions || '',
-        antiPattern: parsed.antiPattern || '',
-        bestPractice: parsed.bestPractice || '',
-        badExample: parsed.badExample || '',
-        goodExample: parsed.goodExample || '',
-        domain: parsed.domain || 'general',
-        keywords: parsed.keywords || []
-      };
+    try {
+      return JSON.parse(jsonText);
     } catch (error) {
-      console.error('Failed to parse AI response:', error);
-      throw new Error('Invalid AI response format');
+      throw new Error(`The response is not valid JSON (${error.message})`);
     }
   }
 
   /**
-   * Fallback categorization using keyword matching
+   * Fill in the optional fields of a validated response
    */
-  fallbackCategorization(commentBody) {
-    const lowerBody = commentBody.toLowerCase();
-    
-    // Anti-pattern keywords
-    const antiPatternKeywords = [
-      'avoid', 'don\'t', "don't", 'never', 'should not', 'shouldn\'t', 
-      'wrong', 'incorrect', 'bad', 'anti-pattern', 'antipattern',
-      'problem', 'issue', 'bug', 'error', 'fix', 'remove'
-    ];
-    
-    // Best practice keywords
-    const bestPracticeKeywords = [
-      'should', 'prefer', 'recommend', 'good', 'best', 'better',
-      'correct', 'proper', 'use', 'implement', 'follow', 'pattern'
-    ];
+  normalizeResponse(parsed) {
+    return {
+      insights: parsed.insights.map(insight => this.normalizeInsight(insight)),
+      threadOutcome: parsed.threadOutcome || null
+    };
+  }
 
-    const hasAntiPattern = antiPatternKeywords.some(kw => lowerBody.includes(kw));
-    const hasBestPractice = bestPracticeKeywords.some(kw => lowerBody.includes(kw));
+  normalizeInsight(parsed) {
+    return {
+      category: parsed.category,
+      confidence: parsed.confidence,
+      skillName: parsed.skillName || '',
+      title: parsed.title || '',
+      description: parsed.description || '',
+      instructions: parsed.instructions || '',
+      antiPattern: parsed.antiPattern || '',
+      bestPractice: parsed.bestPractice || '',
+      badExample: parsed.badExample || '',
+      goodExample: parsed.goodExample || '',
+      domain: parsed.domain || 'general',
+      keywords: parsed.keywords || []
+    };
+  }
 
-    let category = 'neutral';
-    if (hasAntiPattern && !hasBestPractice) {
-      category = 'anti-pattern';
-    } else if (hasBestPractice && !hasAntiPattern) {
-      category = 'best-practice';
-    }
+  /**
+   * Fallback categorization without a model response
+   * The trained classifier decides the category and confidence when there is one
+   */
+  fallbackCategorization(commentBody) {
+    const predicted = this.classifier ? this.classifier.classify(commentBody) : null;
+    const { category, confidence } = predicted || this.keywordCategorization(commentBody);
 
     // Generate a simple skill name from comment
     const words = commentBody.toLowerCase()
@@ -264,7 +350,7 @@ Only return valid JSON, no additional text.`;
 
     return {
       category,
-      confidence: 0.3,
+      confidence,
       skillName,
       title: commentBody.substring(0, 50),
       description: commentBody.substring(0, 200),
@@ -277,6 +363,44 @@ Only return valid JSON, no additional text.`;
       keywords: words
     };
   }
+
+  /**
+   * Categorize using keyword matching
+   * A keyword is weak evidence, so the confidence grows with the matches but stays below the default
+   * confidenceThreshold; keyword categories only become skills when the threshold is lowered to 0.25 or less
+   */
+  keywordCategorization(commentBody) {
+    const lowerBody = commentBody.toLowerCase();
+    
+    // Anti-pattern keywords
+    const antiPatternKeywords = [
+      'avoid', 'don\'t', "don't", 'never', 'should not', 'shouldn\'t', 
+      'wrong', 'incorrect', 'bad', 'anti-pattern', 'antipattern',
+      'problem', 'issue', 'bug', 'error', 'fix', 'remove'
+    ];
+    
+    // Best practice keywords
+    const bestPracticeKeywords = [
+      'should', 'prefer', 'recommend', 'good', 'best', 'better',
+      'correct', 'proper', 'use', 'implement', 'follow', 'pattern'
+    ];
+
+    const antiPatternHits = antiPatternKeywords.filter(kw => lowerBody.includes(kw)).length;
+    const bestPracticeHits = bestPracticeKeywords.filter(kw => lowerBody.includes(kw)).length;
+
+    let category = 'neutral';
+    let hits = 0;
+    if (antiPatternHits > 0 && bestPracticeHits === 0) {
+      category = 'anti-pattern';
+      hits = antiPatternHits;
+    } else if (bestPracticeHits > 0 && antiPatternHits === 0) {
+      category = 'best-practice';
+      hits = bestPracticeHits;
+    }
+
+    const confidence = Math.min(KEYWORD_MAX_CONFIDENCE, KEYWORD_BASE_CONFIDENCE + KEYWORD_HIT_CONFIDENCE * hits);
+    return { category, confidence: Math.round(confidence * 100) / 100 };
+  }
 }
 
 module.exports = AIProcessor;
@@ -0,0 +1,182 @@
+const { getDefaultTransport } = require('./http-transport');
+
+/**
+ * Base class for chat model providers
+ * Settings: model, temperature, maxTokens, timeout (ms), baseURL, apiKey
+ */
+class AIProvider {
+  constructor(name, settings = {}, { transport = null } = {}) {
+    this.name = name;
+    this.model = settings.model;
+    this.temperature = settings.temperature;
+    this.maxTokens = settings.maxTokens;
+    this.timeout = settings.timeout;
+    this.baseURL = (settings.baseURL || this.constructor.defaultBaseURL || '').replace(/\/+$/, '');
+    this.apiKey = settings.apiKey || null;
+    this.transport = transport || getDefaultTransport();
+  }
+
+  /**
+   * Whether the provider can be called; hosted providers need an API key
+   */
+  isConfigured() {
+    return Boolean(this.apiKey && this.model);
+  }
+
+  /**
+   * Send a system and user message and return the model's text reply
+   */
+  async complete({ system, prompt }) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  async post(url, headers, body) {
+    const response = await this.transport.request({
+      url,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      timeout: this.timeout
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`${this.name} API error: ${response.status} - ${response.raw}`);
+    }
+
+    try {
+      return JSON.parse(response.raw);
+    } catch (e) {
+      throw new Error(`Failed to parse ${this.name} response: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * OpenAI chat completions API and compatible endpoints (Cursor, Azure OpenAI, internal gateways, llama.cpp server)
+ * Extra settings: apiKeyHeader (e.g. "api-key" for Azure), apiVersion (added as ?api-version=)
+ */
+class OpenAICompatibleProvider extends AIProvider {
+  static defaultBaseURL = 'https://api.openai.com/v1';
+
+  constructor(name, settings = {}, options = {}) {
+    super(name, settings, options);
+    this.apiKeyHeader = settings.apiKeyHeader || 'Authorization';
+    this.apiVersion = settings.apiVersion || null;
+    // Local servers such as llama.cpp take no key
+    this.requiresKey = settings.requiresKey ?? true;
+  }
+
+  isConfigured() {
+    return Boolean(this.model && (this.apiKey || !this.requiresKey));
+  }
+
+  async complete({ system, prompt }) {
+    const headers = {};
+    if (this.apiKey) {
+      headers[this.apiKeyHeader] = this.apiKeyHeader === 'Authorization' ? `Bearer ${this.apiKey}` : this.apiKey;
+    }
+    const query = this.apiVersion ? `?api-version=${encodeURIComponent(this.apiVersion)}` : '';
+
+    const response = await this.post(`${this.baseURL}/chat/completions${query}`, headers, {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    });
+    return response.choices[0]?.message?.content || '';
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends AIProvider {
+  static defaultBaseURL = 'https://api.anthropic.com/v1';
+
+  async complete({ system, prompt }) {
+    const response = await this.post(`${this.baseURL}/messages`, {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model: this.model,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    });
+    return (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+/**
+ * Ollama chat API on a local or internal host; no key needed
+ */
+class OllamaProvider extends AIProvider {
+  static defaultBaseURL = 'http://localhost:11434';
+
+  isConfigured() {
+    return Boolean(this.model);
+  }
+
+  async complete({ system, prompt }) {
+    const response = await this.post(`${this.baseURL}/api/chat`, {}, {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      stream: false,
+      // The prompt asks for JSON; Ollama can enforce it
+      format: 'json',
+      options: { temperature: this.temperature, num_predict: this.maxTokens }
+    });
+    return response.message?.content || '';
+  }
+}
+
+const PROVIDER_TYPES = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider
+};
+
+/**
+ * Create a provider from its ai.providers entry
+ * Shared ai settings (temperature, maxTokens, timeout, models[name]) fill in what the entry leaves out,
+ * and the API key is read from the environment variable named by apiKeyEnv
+ */
+function createProvider(name, ai, { apiKey = null, env = process.env, transport = null } = {}) {
+  const entry = ai.providers?.[name];
+  if (!entry) {
+    throw new Error(`Unknown AI provider "${name}" (configured: ${Object.keys(ai.providers || {}).join(', ')})`);
+  }
+
+  const Provider = PROVIDER_TYPES[entry.type];
+  if (!Provider) {
+    throw new Error(`AI provider "${name}" has unknown type "${entry.type}" (expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+  }
+
+  return new Provider(name, {
+    ...entry,
+    model: entry.model || ai.models?.[name],
+    temperature: entry.temperature ?? ai.temperature,
+    maxTokens: entry.maxTokens ?? ai.maxTokens,
+    timeout: entry.timeout ?? ai.timeout,
+    apiKey: apiKey || (entry.apiKeyEnv ? env[entry.apiKeyEnv] : null)
+  }, { transport });
+}
+
+module.exports = {
+  AIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  OllamaProvider,
+  PROVIDER_TYPES,
+  createProvider
+};
@@ -0,0 +1,132 @@
+const { validateValue } = require('./config');
+const SkillValidator = require('./skill-validator');
+
+const CATEGORIES = ['anti-pattern', 'best-practice', 'neutral'];
+const THREAD_OUTCOMES = ['consensus', 'disagreement', 'withdrawn'];
+
+// Text fields of a skill; the examples and pattern notes may be left empty
+const TEXT_FIELDS = ['antiPattern', 'bestPractice', 'badExample', 'goodExample'];
+
+// Words ending in -ing that are not gerunds
+const NON_GERUND_WORDS = [
+  'thing', 'nothing', 'something', 'anything', 'everything', 'string', 'ring', 'king', 'spring',
+  'wing', 'swing', 'bring', 'sibling', 'ceiling', 'morning', 'evening', 'during'
+];
+
+/**
+ * Validates a parsed AI response before its insights become skills
+ * Field types, enums and ranges come from a schema; skillName and description follow
+ * SkillValidator's frontmatter rules, and skillName must start with a gerund
+ */
+class AIResponseValidator {
+  constructor({ domains = [], maxInsights = 5, skillValidator = new SkillValidator() } = {}) {
+    this.domains = domains;
+    this.maxInsights = maxInsights;
+    this.skillValidator = skillValidator;
+  }
+
+  /**
+   * Schema for one insight; a neutral insight only needs its category and confidence
+   */
+  insightSchema({ neutral = false } = {}) {
+    const properties = {
+      category: { type: 'string', enum: CATEGORIES },
+      confidence: { type: 'number', min: 0, max: 1 },
+      skillName: { type: 'string', minLength: 1 },
+      title: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string', minLength: 1 },
+      instructions: { type: 'string', minLength: 1 },
+      domain: { type: 'string', enum: [...this.domains, 'general'] },
+      keywords: { type: 'array', items: { type: 'string', minLength: 1 } }
+    };
+    TEXT_FIELDS.forEach(field => {
+      properties[field] = { type: 'string' };
+    });
+
+    return {
+      type: 'object',
+      required: neutral
+        ? ['category', 'confidence']
+        : ['category', 'confidence', 'skillName', 'title', 'description', 'instructions', 'domain'],
+      properties
+    };
+  }
+
+  /**
+   * Validate a parsed response and return a list of violations, empty when it is valid
+   * Unknown fields are ignored and null counts as absent
+   */
+  validate(response, { thread = false } = {}) {
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+      return ['The response must be a JSON object'];
+    }
+    if (!Array.isArray(response.insights)) {
+      return ['insights must be an array (empty when the comment has nothing actionable)'];
+    }
+
+    const violations = [];
+    if (response.insights.length > this.maxInsights) {
+      violations.push(`insights must have at most ${this.maxInsights} items (got ${response.insights.length}); keep the most important points`);
+    }
+    if (thread && response.threadOutcome != null) {
+      violations.push(...validateValue(response.threadOutcome, { type: 'string', enum: THREAD_OUTCOMES }, 'threadOutcome'));
+    }
+    response.insights.forEach((insight, index) => {
+      violations.push(...this.validateInsight(insight, `insights[${index}]`));
+    });
+
+    // Two insights with one name would end up in the same skill
+    const names = response.insights.map(insight => insight?.skillName).filter(Boolean);
+    names.filter((name, index) => names.indexOf(name) !== index).forEach(name => {
+      violations.push(`skillName "${name}" is used by more than one insight; merge them or name them apart`);
+    });
+
+    return violations;
+  }
+
+  /**
+   * Validate one insight; where prefixes its violations
+   */
+  validateInsight(insight, where) {
+    if (!insight || typeof insight !== 'object' || Array.isArray(insight)) {
+      return [`${where} must be an object`];
+    }
+
+    const schema = this.insightSchema({ neutral: insight.category === 'neutral' });
+    const known = Object.fromEntries(
+      Object.entries(insight).filter(([key, value]) => key in schema.properties && value !== null)
+    );
+
+    const violations = validateValue(known, schema, where);
+    if (insight.category !== 'neutral' && known.skillName && known.description) {
+      violations.push(...this.frontmatterViolations(String(known.skillName), String(known.description), where));
+    }
+    return violations;
+  }
+
+  /**
+   * SkillValidator errors for the name and description, plus the gerund rule for the name
+   */
+  frontmatterViolations(skillName, description, where) {
+    const violations = this.skillValidator.validateFrontmatter('', skillName, description)
+      .filter(issue => issue.severity === 'error')
+      .map(issue => `${where}.${issue.code.includes('DESCRIPTION') ? 'description' : 'skillName'}: ${issue.message}. ${issue.fix}`);
+
+    if (!this.isGerund(skillName.split('-')[0])) {
+      violations.push(`${where}.skillName: "${skillName}" must start with a verb in gerund form (verb + -ing). Rename it, e.g. "handling-strings" instead of "string-handling"`);
+    }
+    return violations;
+  }
+
+  /**
+   * Whether a word is a gerund: a stem of at least two letters with a vowel before "-ing", and not a noun like "thing"
+   * SkillValidator.isGerundForm only checks the ending, which lets "string-handling" through
+   */
+  isGerund(word) {
+    const lower = word.toLowerCase();
+    const stem = lower.match(/^([a-z]+)ing$/)?.[1] || '';
+    return stem.length >= 2 && /[aeiouy]/.test(stem) && !NON_GERUND_WORDS.includes(lower);
+  }
+}
+
+module.exports = AIResponseValidator;
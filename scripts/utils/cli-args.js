@@ -0,0 +1,43 @@
+/**
+ * Minimal command line parser for the CLI scripts
+ * Supports --flag, --key value, --key=value and positional arguments
+ */
+function parseArgs(argv, { booleans = [] } = {}) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    if (eqIndex !== -1) {
+      flags[toCamelCase(arg.slice(2, eqIndex))] = arg.slice(eqIndex + 1);
+      continue;
+    }
+
+    const key = toCamelCase(arg.slice(2));
+    const next = argv[i + 1];
+    if (booleans.includes(key) || next === undefined || next.startsWith('--')) {
+      flags[key] = true;
+    } else {
+      flags[key] = next;
+      i++;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+/**
+ * Convert "from-pr" to "fromPr"
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * CODEOWNERS parser for resolving the owners of a file
+ * Follows GitHub semantics: the last matching pattern takes precedence
+ */
+class CodeOwners {
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Load CODEOWNERS from the standard locations in a repository checkout
+   */
+  static async load(repoRoot = '.') {
+    const candidates = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+    for (const candidate of candidates) {
+      try {
+        const content = await fs.readFile(path.join(repoRoot, candidate), 'utf-8');
+        return CodeOwners.parse(content);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return new CodeOwners();
+  }
+
+  /**
+   * Parse CODEOWNERS content
+   */
+  static parse(content) {
+    const rules = content
+      .split('\n')
+      .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+      .filter(line => line.length > 0)
+      .map(line => {
+        const [pattern, ...owners] = line.split(/\s+/);
+        return { pattern, regex: CodeOwners.patternToRegex(pattern), owners };
+      });
+
+    return new CodeOwners(rules);
+  }
+
+  /**
+   * Convert a gitignore-style CODEOWNERS pattern to a regular expression
+   */
+  static patternToRegex(pattern) {
+    let body = pattern;
+    const anchored = body.startsWith('/') || body.replace(/\/$/, '').includes('/');
+    body = body.replace(/^\//, '').replace(/\/$/, '');
+
+    const escaped = body
+      .split('**')
+      .map(part => part
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]'))
+      .join('.*');
+
+    const prefix = anchored ? '^' : '^(?:.*/)?';
+    // A pattern naming a directory also covers everything below it; "docs/*" does not recurse
+    const lastSegment = body.split('/').pop();
+    const suffix = lastSegment.includes('*') && lastSegment !== '**' ? '' : '(?:/.*)?';
+    return new RegExp(`${prefix}${escaped}${suffix}$`);
+  }
+
+  /**
+   * Get the owners of a file path (e.g. ["@alice", "@org/team"])
+   */
+  ownersFor(filePath) {
+    const normalized = filePath.replace(/^\.?\//, '');
+    let owners = [];
+
+    for (const rule of this.rules) {
+      if (rule.regex.test(normalized)) {
+        owners = rule.owners;
+      }
+    }
+
+    return owners;
+  }
+}
+
+module.exports = CodeOwners;
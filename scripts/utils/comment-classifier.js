@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MODEL_VERSION = 1;
+const LABELS = ['anti-pattern', 'best-practice', 'neutral'];
+
+// Words too common in review comments to say anything about the category
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'here', 'i', 'if',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you'
+]);
+
+/**
+ * Multinomial naive Bayes classifier for review comment categories, trained offline
+ * Features are word unigrams and bigrams; confidence is the posterior probability after
+ * temperature scaling, with the temperature fitted on held-out folds during training
+ */
+class CommentClassifier {
+  constructor({ labels = LABELS, docCounts = {}, tokenCounts = {}, totals = {}, vocabulary = [], temperature = 1 } = {}) {
+    this.labels = labels;
+    // Per label: number of training documents, token -> count, and total token count
+    this.docCounts = Object.fromEntries(labels.map(label => [label, docCounts[label] || 0]));
+    this.tokenCounts = Object.fromEntries(labels.map(label => [label, { ...tokenCounts[label] }]));
+    this.totals = Object.fromEntries(labels.map(label => [label, totals[label] || 0]));
+    this.vocabulary = new Set(vocabulary);
+    this.temperature = temperature;
+  }
+
+  /**
+   * Load a trained model; a missing file means no model has been trained
+   */
+  static async load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Invalid classifier model ${filePath}: ${error.message}`);
+    }
+
+    if (data.version !== MODEL_VERSION) {
+      throw new Error(`Unsupported classifier model version ${data.version} in ${filePath}`);
+    }
+    return new CommentClassifier(data);
+  }
+
+  /**
+   * Split a comment into lowercase word unigrams and bigrams
+   * Code blocks and quoted text are left out; negations like "don't" stay one word
+   */
+  static tokenize(text) {
+    const words = (text || '')
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/^>.*$/gm, ' ')
+      .toLowerCase()
+      .replace(/[’`]/g, '\'')
+      .match(/[a-z][a-z0-9']*[a-z0-9]|[a-z]/g) || [];
+
+    const kept = words.filter(word => !STOP_WORDS.has(word));
+    const bigrams = kept.slice(1).map((word, index) => `${kept[index]} ${word}`);
+    return [...kept, ...bigrams];
+  }
+
+  /**
+   * Add labelled examples ({ text, label }) to the counts
+   */
+  train(examples) {
+    for (const { text, label } of examples) {
+      if (!this.labels.includes(label)) {
+        throw new Error(`Unknown label "${label}" (expected one of: ${this.labels.join(', ')})`);
+      }
+
+      this.docCounts[label]++;
+      for (const token of CommentClassifier.tokenize(text)) {
+        this.tokenCounts[label][token] = (this.tokenCounts[label][token] || 0) + 1;
+        this.totals[label]++;
+        this.vocabulary.add(token);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Labels with at least one training document; only these can be predicted
+   */
+  trainedLabels() {
+    return this.labels.filter(label => this.docCounts[label] > 0);
+  }
+
+  /**
+   * Unnormalized log posterior of each trained label, with add-one smoothing
+   * Tokens never seen in training carry no evidence and are skipped
+   */
+  logScores(text) {
+    const labels = this.trainedLabels();
+    const totalDocs = labels.reduce((sum, label) => sum + this.docCounts[label], 0);
+    const tokens = CommentClassifier.tokenize(text).filter(token => this.vocabulary.has(token));
+
+    return Object.fromEntries(labels.map(label => {
+      const denominator = this.totals[label] + this.vocabulary.size;
+      let score = Math.log(this.docCounts[label] / totalDocs);
+      for (const token of tokens) {
+        score += Math.log(((this.tokenCounts[label][token] || 0) + 1) / denominator);
+      }
+      return [label, score];
+    }));
+  }
+
+  /**
+   * Classify a comment
+   * Returns { category, confidence, probabilities }, or null when fewer than two labels were trained
+   */
+  classify(text, { temperature = this.temperature } = {}) {
+    const scores = this.logScores(text);
+    const labels = Object.keys(scores);
+    if (labels.length < 2) {
+      return null;
+    }
+
+    const max = Math.max(...labels.map(label => scores[label]));
+    const weights = labels.map(label => Math.exp((scores[label] - max) / temperature));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const probabilities = Object.fromEntries(labels.map((label, index) => [label, weights[index] / sum]));
+
+    const category = labels.reduce((best, label) => probabilities[label] > probabilities[best] ? label : best);
+    return { category, confidence: probabilities[category], probabilities };
+  }
+
+  /**
+   * Fit the temperature on held-out predictions and report cross-validated accuracy
+   * Naive Bayes treats every word as independent evidence, so raw posteriors are far too sure of themselves;
+   * the temperature that minimizes log loss over the folds scales them back
+   */
+  calibrate(examples, { folds = 5 } = {}) {
+    const foldCount = Math.min(folds, examples.length);
+    if (foldCount < 2) {
+      return { temperature: this.temperature, accuracy: null, evaluated: 0 };
+    }
+
+    const heldOut = [];
+    for (let fold = 0; fold < foldCount; fold++) {
+      const model = new CommentClassifier({ labels: this.labels })
+        .train(examples.filter((example, index) => index % foldCount !== fold));
+      examples.filter((example, index) => index % foldCount === fold).forEach(example => {
+        const scores = model.logScores(example.text);
+        if (example.label in scores && Object.keys(scores).length >= 2) {
+          heldOut.push({ model, example });
+        }
+      });
+    }
+    if (heldOut.length === 0) {
+      return { temperature: this.temperature, accuracy: null, evaluated: 0 };
+    }
+
+    const logLoss = temperature => heldOut.reduce((loss, { model, example }) =>
+      loss - Math.log(Math.max(model.classify(example.text, { temperature }).probabilities[example.label], 1e-12)), 0);
+
+    let best = { temperature: 1, loss: logLoss(1) };
+    for (let temperature = 1.5; temperature <= 100; temperature *= 1.25) {
+      const loss = logLoss(temperature);
+      if (loss < best.loss) {
+        best = { temperature, loss };
+      }
+    }
+    this.temperature = Number(best.temperature.toFixed(3));
+
+    const correct = heldOut.filter(({ model, example }) => model.classify(example.text).category === example.label).length;
+    return { temperature: this.temperature, accuracy: correct / heldOut.length, evaluated: heldOut.length };
+  }
+
+  toJSON() {
+    return {
+      version: MODEL_VERSION,
+      labels: this.labels,
+      temperature: this.temperature,
+      docCounts: this.docCounts,
+      totals: this.totals,
+      vocabulary: [...this.vocabulary].sort(),
+      tokenCounts: this.tokenCounts
+    };
+  }
+
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify(this.toJSON())}\n`, 'utf-8');
+  }
+}
+
+module.exports = CommentClassifier;
@@ -0,0 +1,95 @@
+const { DEFAULT_CONFIG } = require('./config');
+const { splitSuggestions } = require('./suggestion-parser');
+
+/**
+ * Deterministic pre-filter that drops noise comments before an AI call is spent on them
+ * Rules run in order; the first one that matches is reported as the skip reason
+ */
+class CommentFilter {
+  constructor(options = {}) {
+    const defaults = DEFAULT_CONFIG.filter;
+    this.enabled = options.enabled ?? defaults.enabled;
+    this.minLength = options.minLength ?? defaults.minLength;
+    this.stopPhrases = (options.stopPhrases || defaults.stopPhrases).map(phrase => phrase.toLowerCase());
+    this.botSignatures = (options.botSignatures || defaults.botSignatures).map(signature => new RegExp(signature, 'i'));
+    this.stripQuotes = options.stripQuotes ?? defaults.stripQuotes;
+    this.skipCodeOnly = options.skipCodeOnly ?? defaults.skipCodeOnly;
+  }
+
+  /**
+   * Check a comment body
+   * Returns { skip: false, body } with quoted text removed, or { skip: true, rule, reason }
+   */
+  check(body) {
+    if (!this.enabled) {
+      return { skip: false, body };
+    }
+
+    const signature = this.botSignatures.find(pattern => pattern.test(body));
+    if (signature) {
+      return this.reject('botSignatures', `Matches bot signature /${signature.source}/`);
+    }
+
+    // Quoted lines repeat the comment being replied to
+    const cleaned = this.stripQuotes
+      ? body.split('\n').filter(line => !/^\s*>/.test(line)).join('\n').trim()
+      : body;
+
+    // A suggestion is the exact change the reviewer asks for, which is content even without an explanation
+    if (splitSuggestions(cleaned).suggestions.length > 0) {
+      return { skip: false, body: cleaned };
+    }
+
+    const prose = this.extractProse(cleaned);
+    if (this.skipCodeOnly && !prose && /```/.test(cleaned)) {
+      return this.reject('codeOnly', 'Comment contains only code with no explanation');
+    }
+
+    const remaining = this.normalize(this.removeStopPhrases(prose));
+    if (remaining.length < this.minLength) {
+      const original = this.normalize(prose);
+      if (original && (!remaining || original.length >= this.minLength)) {
+        return this.reject('stopPhrases', 'Comment consists of stop phrases only');
+      }
+      return this.reject('minLength', `Comment is shorter than ${this.minLength} characters`);
+    }
+
+    return { skip: false, body: cleaned };
+  }
+
+  /**
+   * Remove code blocks, inline code, links and emoji, leaving the reviewer's own words
+   */
+  extractProse(text) {
+    return text
+      .replace(/(`{3,})[\s\S]*?\1/g, ' ')
+      .replace(/`[^`\n]*`/g, ' ')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/:[a-z0-9_+-]+:/g, ' ')
+      .replace(/\p{Extended_Pictographic}/gu, ' ')
+      .trim();
+  }
+
+  removeStopPhrases(text) {
+    let result = text.toLowerCase();
+    this.stopPhrases.forEach(phrase => {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      result = result.replace(new RegExp(`(^|[^\\w])${escaped}(?=[^\\w]|$)`, 'g'), '$1');
+    });
+    return result;
+  }
+
+  /**
+   * Collapse punctuation and whitespace so only meaningful characters are counted
+   */
+  normalize(text) {
+    return text.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  reject(rule, reason) {
+    return { skip: true, rule, reason };
+  }
+}
+
+module.exports = CommentFilter;
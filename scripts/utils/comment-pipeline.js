@@ -0,0 +1,442 @@
+const AIProcessor = require('./ai-processor');
+const SkillGenerator = require('../generate-skill');
+const ReviewerPolicy = require('./reviewer-policy');
+const ProcessingLedger = require('./processing-ledger');
+const CommentFilter = require('./comment-filter');
+const ContextBuilder = require('./context-builder');
+const CommentClassifier = require('./comment-classifier');
+
+// Status of a comment whose insights ended differently, most significant first
+const STATUS_PRECEDENCE = ['created', 'updated', 'merged'];
+
+// Word overlap above which an edited insight continues an earlier contribution of the same comment
+const CONTRIBUTION_MATCH_THRESHOLD = 0.3;
+
+/**
+ * Extraction pipeline shared by the event handler and batch entry points
+ * Runs a normalized comment through AI categorization and skill generation
+ */
+class CommentPipeline {
+  constructor({
+    aiProcessor,
+    skillGenerator,
+    skillManager,
+    platform = null,
+    policy = null,
+    ledger = null,
+    filter = null,
+    contextBuilder = null,
+    threadAware = false,
+    confidenceThreshold = 0.3
+  }) {
+    this.aiProcessor = aiProcessor;
+    this.skillGenerator = skillGenerator;
+    this.skillManager = skillManager;
+    this.platform = platform;
+    this.policy = policy;
+    this.ledger = ledger;
+    this.filter = filter;
+    this.contextBuilder = contextBuilder;
+    // Extract from whole review threads once they resolve, instead of from single comments
+    this.threadAware = threadAware;
+    this.confidenceThreshold = confidenceThreshold;
+    // Skill writes are serialized so concurrent callers never merge into the same file at once
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Build a pipeline and its components from the project configuration
+   * options.apiKey overrides the API key of the first AI provider (read from its apiKeyEnv by default)
+   * options.platform is the review platform comments come from (see review-platform.js)
+   * options.policyFile replaces the policy from the config file
+   * options.dryRun plans skill changes without writing them
+   */
+  static async create(config, {
+    apiKey = null,
+    platform = null,
+    policyFile = null,
+    threadAware = config.threadAware,
+    dryRun = false
+  } = {}) {
+    const policy = policyFile
+      ? await ReviewerPolicy.load(policyFile, { platform, repoRoot: config.rootDir })
+      : await ReviewerPolicy.create(config.policy, { platform, repoRoot: config.rootDir });
+
+    // The pipeline shares the generator's skill manager so dry runs see their own staged changes
+    const skillGenerator = new SkillGenerator(config.skillsDir, { ...config, dryRun });
+
+    const classifier = config.classifier.enabled ? await CommentClassifier.load(config.classifier.modelFile) : null;
+
+    return new CommentPipeline({
+      aiProcessor: new AIProcessor(apiKey, config.ai.provider, { ...config.ai, domains: config.domains, classifier }),
+      skillGenerator,
+      skillManager: skillGenerator.skillManager,
+      platform,
+      policy,
+      ledger: await ProcessingLedger.load(config.ledgerFile, { rootDir: config.rootDir, dryRun }),
+      filter: new CommentFilter(config.filter),
+      // Surrounding code is fetched from the platform, so offline runs only see the diff hunk
+      contextBuilder: platform ? new ContextBuilder(platform, config.context) : null,
+      threadAware,
+      confidenceThreshold: config.confidenceThreshold
+    });
+  }
+
+  /**
+   * Process a single comment
+   * A comment that already contributed to a skill (edit or re-delivery) replaces its contribution in place
+   * A comment the ledger has already seen with the same content is not processed again
+   * Returns { status: 'created' | 'merged' | 'updated' | 'skipped', reason?, path?, paths?, skillName?, category?, insights?, changes? }
+   * insights has one result per insight of the comment; the top-level fields describe the first one written
+   */
+  async process(commentData) {
+    if (this.threadAware && commentData.kind === 'review_comment') {
+      const prepared = await this.attachThread(commentData);
+      if (prepared.skipped) {
+        return { status: 'skipped', reason: prepared.reason };
+      }
+      commentData = prepared.commentData;
+    }
+
+    let weight = 1;
+    if (this.policy) {
+      const decision = await this.policy.evaluate(commentData);
+      if (!decision.allowed) {
+        console.log(`Policy rule "${decision.rule}" rejected comment ${commentData.id ?? ''}: ${decision.reason}`);
+        return { status: 'skipped', reason: `Policy rule "${decision.rule}": ${decision.reason}`, rule: decision.rule };
+      }
+      weight = decision.weight;
+    }
+
+    const tracked = this.ledger && commentData.id != null;
+    const hash = tracked ? ProcessingLedger.hashComment(commentData) : null;
+    if (tracked && this.ledger.isUnchanged(commentData.id, hash)) {
+      const entry = this.ledger.get(commentData.id);
+      return {
+        status: 'skipped',
+        reason: `Comment ${commentData.id} is unchanged since it was processed (${entry.outcome})`,
+        unchanged: true
+      };
+    }
+
+    // A retryable skip is left out of the ledger so the next run processes the comment again
+    const result = await this.extract(commentData, weight);
+    return tracked && !result.retryable ? this.recordOutcome(commentData, hash, result) : result;
+  }
+
+  /**
+   * Categorize a comment and create, merge or retract a skill contribution for each of its insights
+   */
+  async extract(commentData, weight) {
+    const { filePath } = commentData;
+    let { body } = commentData;
+
+    const existingSkills = await this.skillManager.findSkillsByComment(commentData.id);
+
+    if (!body || !body.trim()) {
+      return this.withdraw(commentData, existingSkills, 'Empty comment body');
+    }
+
+    // Noise never reaches the AI; a comment edited into noise loses its earlier contribution
+    if (this.filter) {
+      const filtered = this.filter.check(body);
+      if (filtered.skip) {
+        console.log(`Filter rule "${filtered.rule}" dropped comment ${commentData.id ?? ''}: ${filtered.reason}`);
+        return { ...(await this.withdraw(commentData, existingSkills, `Filter rule "${filtered.rule}": ${filtered.reason}`)), rule: filtered.rule };
+      }
+      body = filtered.body;
+    }
+
+    const codeContext = this.contextBuilder ? await this.contextBuilder.build(commentData) : null;
+
+    const { insights, threadOutcome, examples, error } = await this.aiProcessor.processComment({
+      body,
+      filePath: filePath || '',
+      diffHunk: commentData.diffHunk || '',
+      author: commentData.author,
+      line: commentData.line,
+      startLine: commentData.startLine,
+      side: commentData.side,
+      thread: commentData.thread,
+      codeContext
+    });
+
+    // A thread is only judged by the AI; earlier contributions stay until a later run can judge it
+    if (error) {
+      return { status: 'skipped', reason: `AI processing failed for review thread: ${error}`, retryable: true };
+    }
+
+    // Nothing is extracted from threads that did not end in agreement
+    if (commentData.thread && ['disagreement', 'withdrawn'].includes(threadOutcome)) {
+      return this.withdraw(commentData, existingSkills, `Review thread ended in ${threadOutcome}`);
+    }
+
+    // Scale confidence by how much the reviewer is trusted before applying the cutoff
+    if (weight !== 1) {
+      insights.forEach(insight => {
+        insight.confidence = Math.min(1, insight.confidence * weight);
+      });
+    }
+
+    // Check which insights should become skills
+    const actionable = insights.filter(insight =>
+      insight.category !== 'neutral' && insight.confidence >= this.confidenceThreshold
+    );
+    const rejected = insights
+      .filter(insight => !actionable.includes(insight))
+      .map(insight => ({
+        status: 'skipped',
+        reason: `Categorized as ${insight.category} with confidence ${insight.confidence}`,
+        skillName: insight.skillName || null,
+        category: insight.category
+      }));
+
+    // A suggestion block shows the first point the model lists, so it illustrates the first insight kept
+    if (examples && actionable.length > 0) {
+      Object.assign(actionable[0], examples);
+    }
+
+    if (actionable.length === 0) {
+      const reason = rejected.length > 0 ? rejected.map(r => r.reason).join('; ') : 'No actionable insight';
+      return {
+        ...(await this.withdraw(commentData, existingSkills, reason)),
+        category: insights[0]?.category || 'neutral',
+        insights: rejected
+      };
+    }
+
+    const sourceInfo = this.buildSourceInfo(commentData);
+    const results = [];
+    const changes = [];
+
+    // An edited comment replaces each insight's contribution where it already is
+    const matches = this.matchContributions(existingSkills, commentData.id, actionable);
+
+    for (const [index, insight] of actionable.entries()) {
+      // Detect domain if not provided
+      if (insight.domain === 'general') {
+        insight.domain = this.skillManager.detectDomain(filePath || '', body);
+      }
+
+      const { contributionId, target } = matches[index];
+
+      const result = await this.serialize(() => {
+        console.log(`Generating skill: ${insight.skillName} (${insight.category})`);
+        return this.skillGenerator.generateSkill(insight, sourceInfo, { targetPath: target?.path, contributionId });
+      });
+      changes.push(...result.changes);
+
+      let status = 'merged';
+      if (result.isNew) {
+        status = 'created';
+      } else if (result.updated) {
+        status = 'updated';
+      }
+
+      results.push({
+        status,
+        path: result.path,
+        skillName: insight.skillName,
+        category: insight.category,
+        instructions: insight.instructions,
+        matchScore: result.matchScore,
+        validation: result.validation
+      });
+    }
+
+    // Insights an edit dropped take their earlier contributions with them
+    if (existingSkills.length > 0) {
+      const keep = matches.map(match => match.contributionId);
+      const retracted = await this.serialize(() =>
+        this.skillGenerator.retractContribution(commentData.id, { keep })
+      );
+      retracted.forEach(r => changes.push(...r.changes));
+    }
+
+    // The first insight describes the comment for callers that report a single skill
+    const [first] = results;
+    return {
+      status: STATUS_PRECEDENCE.find(status => results.some(r => r.status === status)),
+      path: first.path,
+      paths: [...new Set(results.map(r => r.path))],
+      skillName: first.skillName,
+      category: first.category,
+      instructions: first.instructions,
+      matchScore: first.matchScore,
+      validation: first.validation,
+      insights: [...results, ...rejected],
+      changes
+    };
+  }
+
+  /**
+   * Pair each insight with the earlier contribution of the comment it continues, whatever its position
+   * Insights match by skill name first, then by text similarity; unmatched ones get a key no earlier contribution uses
+   * Returns { contributionId, target } per insight, where target is the skill to update or null
+   */
+  matchContributions(existingSkills, commentId, insights) {
+    if (commentId === undefined || commentId === null) {
+      return insights.map(() => ({ contributionId: null, target: null }));
+    }
+
+    const id = String(commentId);
+    // Skills written before contributions were keyed only list the comment as a source
+    const candidates = existingSkills.flatMap(skill => {
+      const own = skill.contributions.filter(c => this.skillManager.isContributionOf(c.id, id));
+      return own.length > 0
+        ? own.map(c => ({ key: c.id, skill, instructions: c.instructions }))
+        : [{ key: null, skill, instructions: skill.instructions || '' }];
+    });
+    const taken = candidates.map(candidate => candidate.key).filter(Boolean);
+
+    const matches = insights.map(() => null);
+    const claim = (index, candidate) => {
+      matches[index] = candidate;
+      candidates.splice(candidates.indexOf(candidate), 1);
+    };
+
+    insights.forEach((insight, index) => {
+      const name = this.skillManager.normalizeSkillName(insight.skillName || '');
+      const candidate = candidates.find(c => c.skill.skillName === name);
+      if (candidate) {
+        claim(index, candidate);
+      }
+    });
+
+    // The closest remaining pairs win, so one candidate never goes to a weaker match first
+    const pairs = [];
+    insights.forEach((insight, index) => {
+      if (matches[index]) return;
+      candidates.forEach(candidate => {
+        const similarity = this.skillManager.calculateSimilarity(
+          { ...insight, description: `${insight.description} ${insight.instructions}` },
+          { ...candidate.skill, description: `${candidate.skill.description} ${candidate.instructions}` }
+        );
+        if (similarity >= CONTRIBUTION_MATCH_THRESHOLD) {
+          pairs.push({ index, candidate, similarity });
+        }
+      });
+    });
+    pairs
+      .sort((a, b) => b.similarity - a.similarity)
+      .forEach(({ index, candidate }) => {
+        if (!matches[index] && candidates.includes(candidate)) {
+          claim(index, candidate);
+        }
+      });
+
+    return matches.map(match => {
+      if (match?.key) {
+        return { contributionId: match.key, target: match.skill };
+      }
+      const contributionId = this.skillManager.contributionId(id, taken);
+      taken.push(contributionId);
+      return { contributionId, target: match?.skill || null };
+    });
+  }
+
+  /**
+   * Replace a review comment with the root of its thread, carrying the whole conversation
+   * Threads that are neither resolved nor had their suggestion applied are left for later
+   */
+  async attachThread(commentData) {
+    if (!this.platform) {
+      throw new Error('Thread-aware extraction requires a review platform client');
+    }
+
+    const thread = await this.platform.getReviewThread(commentData.pr, commentData.id);
+
+    if (!thread.isResolved && !thread.suggestionApplied) {
+      return {
+        skipped: true,
+        reason: `Review thread ${thread.rootId} is unresolved, waiting for the conversation to resolve`
+      };
+    }
+
+    return {
+      skipped: false,
+      commentData: { ...thread.root, pr: commentData.pr, prAuthor: commentData.prAuthor, thread }
+    };
+  }
+
+  /**
+   * Remove a deleted comment's contributions from skills
+   * Returns { status: 'retracted' | 'skipped', paths, removed, changes }
+   */
+  async retract(commentData) {
+    const result = await this.retractContributions(commentData);
+    if (this.ledger && (result.status === 'retracted' || this.ledger.get(commentData.id))) {
+      return this.recordOutcome(commentData, null, { ...result, reason: result.reason || 'Comment deleted' });
+    }
+    return result;
+  }
+
+  /**
+   * Remove every contribution of a comment from skills
+   */
+  async retractContributions(commentData) {
+    const results = await this.serialize(() =>
+      this.skillGenerator.retractContribution(commentData.id)
+    );
+
+    if (results.length === 0) {
+      return { status: 'skipped', reason: `Comment ${commentData.id} did not contribute to any skill` };
+    }
+
+    return {
+      status: 'retracted',
+      paths: results.map(r => r.path),
+      removed: results.filter(r => r.removed).map(r => r.path),
+      validation: results.find(r => r.validation)?.validation,
+      changes: results.flatMap(r => r.changes)
+    };
+  }
+
+  /**
+   * Skip a comment, retracting its earlier contribution if an edit made it non-actionable
+   */
+  async withdraw(commentData, existingSkills, reason) {
+    if (existingSkills.length === 0) {
+      return { status: 'skipped', reason };
+    }
+
+    const result = await this.retractContributions(commentData);
+    return { ...result, reason: `${reason}; earlier contribution retracted` };
+  }
+
+  /**
+   * Record a comment's outcome in the ledger, adding the ledger file to the result's changes
+   */
+  async recordOutcome(commentData, hash, result) {
+    this.ledger.record(commentData, hash, result);
+    const change = await this.serialize(() => this.ledger.save());
+    return change ? { ...result, changes: [...(result.changes || []), change] } : result;
+  }
+
+  /**
+   * Build source attribution for the generated skill
+   */
+  buildSourceInfo(commentData) {
+    const commentDate = commentData.date ? new Date(commentData.date) : null;
+    const date = commentDate && !isNaN(commentDate) ? commentDate : new Date();
+
+    return {
+      pr: commentData.pr,
+      author: commentData.author,
+      date: date.toISOString().split('T')[0],
+      file: commentData.filePath || 'N/A',
+      commentId: commentData.id ?? null
+    };
+  }
+
+  /**
+   * Run a task after every previously queued task has settled
+   */
+  serialize(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = CommentPipeline;
@@ -0,0 +1,25 @@
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * Results are returned in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
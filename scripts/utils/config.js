@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.pr-skills.json';
+
+/**
+ * Default configuration
+ * Every key here can be set in .pr-skills.json at the repository root
+ */
+const DEFAULT_CONFIG = {
+  skillsDir: '.claude/skills',
+  ledgerFile: '.claude/pr-skills-ledger.json',
+  similarityThreshold: 0.8,
+  confidenceThreshold: 0.3,
+  maxSkillLines: 500,
+  threadAware: false,
+  replyToComments: true,
+  domains: [
+    { name: 'ohif', paths: ['ohif', 'viewer'], keywords: ['ohif', 'viewerport'] },
+    { name: 'cornerstone3d', paths: ['cornerstone', 'cs3d'], keywords: ['cornerstone', 'renderingengine'] }
+  ],
+  ai: {
+    // First provider to try, then the fallback chain in order
+    provider: 'cursor',
+    fallback: ['openai'],
+    models: {
+      cursor: 'claude-3-5-sonnet-20241022',
+      openai: 'gpt-4'
+    },
+    temperature: 0.3,
+    maxTokens: 2000,
+    timeout: 60000,
+    // Times an invalid response is sent back with its violations before falling back to keywords
+    repairAttempts: 2,
+    // Independent points extracted from one comment, each becoming its own skill contribution
+    maxInsights: 5,
+    // On-disk cache of responses keyed by provider, model, parameters and prompt
+    cache: {
+      // off, read-write, or cache-only (fail on a miss instead of calling a provider)
+      mode: 'off',
+      dir: '.pr-skills-cache',
+      // 0 keeps entries forever
+      ttlHours: 720,
+      // Least recently used entries are evicted above this size; 0 for no cap
+      maxSizeMB: 100
+    },
+    providers: {
+      cursor: { type: 'openai', baseURL: 'https://api.cursor.com/v1', apiKeyEnv: 'CURSOR_API_KEY' },
+      openai: { type: 'openai', baseURL: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY' },
+      anthropic: { type: 'anthropic', model: 'claude-3-5-sonnet-20241022', apiKeyEnv: 'ANTHROPIC_API_KEY' },
+      ollama: { type: 'ollama', baseURL: 'http://localhost:11434', model: 'llama3.1' }
+    }
+  },
+  policy: {},
+  filter: {
+    enabled: true,
+    minLength: 12,
+    stopPhrases: [
+      'lgtm', 'looks good to me', 'looks good', 'ship it', 'approved', '+1',
+      'thanks', 'thank you', 'nice', 'great', 'good catch', 'agreed', 'same here', 'ditto',
+      'done', 'fixed', 'nit', 'typo'
+    ],
+    botSignatures: [
+      '<!-- (?:generated|automated) by',
+      'this comment was (?:automatically )?generated',
+      '^\\s*\\[!\\[',
+      'codecov|sonarcloud|coveralls|dependabot|renovate\\[bot\\]'
+    ],
+    stripQuotes: true,
+    skipCodeOnly: true
+  },
+  context: {
+    enabled: true,
+    maxTokens: 1500,
+    windowLines: 30
+  },
+  // Offline categorization used when no AI provider answers (see scripts/train-classifier.js)
+  classifier: {
+    enabled: true,
+    modelFile: '.claude/pr-skills-classifier.json'
+  },
+  publish: {
+    mode: 'commit',
+    branch: 'pr-skills/update',
+    title: 'Update skills from code review'
+  }
+};
+
+/**
+ * Schema used to validate the configuration file
+ */
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    skillsDir: { type: 'string' },
+    ledgerFile: { type: 'string' },
+    similarityThreshold: { type: 'number', min: 0, max: 1 },
+    confidenceThreshold: { type: 'number', min: 0, max: 1 },
+    maxSkillLines: { type: 'integer', min: 1 },
+    threadAware: { type: 'boolean' },
+    replyToComments: { type: 'boolean' },
+    domains: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', pattern: /^[a-z0-9-]+$/ },
+          paths: { type: 'array', items: { type: 'string' } },
+          keywords: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    ai: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string' },
+        fallback: { type: 'array', items: { type: 'string' } },
+        models: { type: 'object', additionalProperties: { type: 'string' } },
+        temperature: { type: 'number', min: 0, max: 2 },
+        maxTokens: { type: 'integer', min: 1 },
+        timeout: { type: 'integer', min: 1 },
+        repairAttempts: { type: 'integer', min: 0 },
+        maxInsights: { type: 'integer', min: 1 },
+        cache: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: ['off', 'read-write', 'cache-only'] },
+            dir: { type: 'string' },
+            ttlHours: { type: 'number', min: 0 },
+            maxSizeMB: { type: 'number', min: 0 }
+          }
+        },
+        providers: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', enum: ['openai', 'anthropic', 'ollama'] },
+              baseURL: { type: 'string' },
+              model: { type: 'string' },
+              apiKeyEnv: { type: 'string' },
+              apiKeyHeader: { type: 'string' },
+              apiVersion: { type: 'string' },
+              requiresKey: { type: 'boolean' },
+              temperature: { type: 'number', min: 0, max: 2 },
+              maxTokens: { type: 'integer', min: 1 },
+              timeout: { type: 'integer', min: 1 }
+            }
+          }
+        }
+      }
+    },
+    policy: {
+      type: 'object',
+      properties: {
+        allowUsers: { type: 'array', items: { type: 'string' } },
+        allowTeams: { type: 'array', items: { type: 'string', pattern: /^[^/]+(\/[^/]+)+$/ } },
+        allowCodeOwners: { type: 'boolean' },
+        skipBots: { type: 'boolean' },
+        skipSelfComments: { type: 'boolean' },
+        weights: { type: 'object', additionalProperties: { type: 'number', min: 0 } },
+        defaultWeight: { type: 'number', min: 0 }
+      }
+    },
+    filter: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        minLength: { type: 'integer', min: 0 },
+        stopPhrases: { type: 'array', items: { type: 'string' } },
+        botSignatures: { type: 'array', items: { type: 'string' } },
+        stripQuotes: { type: 'boolean' },
+        skipCodeOnly: { type: 'boolean' }
+      }
+    },
+    context: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxTokens: { type: 'integer', min: 1 },
+        windowLines: { type: 'integer', min: 0 }
+      }
+    },
+    classifier: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        modelFile: { type: 'string' }
+      }
+    },
+    publish: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['commit', 'pull-request'] },
+        branch: { type: 'string' },
+        baseBranch: { type: 'string' },
+        title: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Environment variables that override configuration values
+ */
+const ENV_OVERRIDES = {
+  PR_SKILLS_SKILLS_DIR: ['skillsDir', 'string'],
+  PR_SKILLS_LEDGER_FILE: ['ledgerFile', 'string'],
+  PR_SKILLS_SIMILARITY_THRESHOLD: ['similarityThreshold', 'number'],
+  PR_SKILLS_CONFIDENCE_THRESHOLD: ['confidenceThreshold', 'number'],
+  PR_SKILLS_MAX_SKILL_LINES: ['maxSkillLines', 'number'],
+  PR_SKILLS_THREAD_AWARE: ['threadAware', 'boolean'],
+  PR_SKILLS_REPLY_TO_COMMENTS: ['replyToComments', 'boolean'],
+  PR_SKILLS_CURSOR_MODEL: ['ai.models.cursor', 'string'],
+  PR_SKILLS_OPENAI_MODEL: ['ai.models.openai', 'string'],
+  PR_SKILLS_AI_TEMPERATURE: ['ai.temperature', 'number'],
+  PR_SKILLS_AI_PROVIDER: ['ai.provider', 'string'],
+  PR_SKILLS_AI_CACHE: ['ai.cache.mode', 'string'],
+  PR_SKILLS_PUBLISH_MODE: ['publish.mode', 'string']
+};
+
+/**
+ * Find the repository root by walking up to the directory containing .git
+ */
+function findRepoRoot(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return path.resolve(startDir);
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load configuration: defaults, then .pr-skills.json, then environment overrides
+ * PR_SKILLS_CONFIG may point at a config file outside the repository root
+ */
+function loadConfig({ cwd = process.cwd(), env = process.env } = {}) {
+  const rootDir = findRepoRoot(cwd);
+  const configPath = env.PR_SKILLS_CONFIG
+    ? path.resolve(cwd, env.PR_SKILLS_CONFIG)
+    : path.join(rootDir, CONFIG_FILE);
+
+  let fileConfig = {};
+  let loadedFrom = null;
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid configuration file ${configPath}: ${error.message}`);
+    }
+    loadedFrom = configPath;
+  } else if (env.PR_SKILLS_CONFIG) {
+    throw new Error(`Configuration file not found: ${configPath}`);
+  }
+
+  const config = deepMerge(DEFAULT_CONFIG, fileConfig);
+  applyEnvOverrides(config, env);
+
+  const errors = validateValue(config, SCHEMA, 'config');
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration${loadedFrom ? ` in ${loadedFrom}` : ''}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Paths in the config are relative to the repository root
+  config.skillsDir = path.relative(cwd, path.resolve(rootDir, config.skillsDir)) || '.';
+  config.ledgerFile = path.relative(cwd, path.resolve(rootDir, config.ledgerFile));
+  config.classifier.modelFile = path.relative(cwd, path.resolve(rootDir, config.classifier.modelFile));
+  config.ai.cache.dir = path.relative(cwd, path.resolve(rootDir, config.ai.cache.dir));
+  config.rootDir = rootDir;
+  config.configPath = loadedFrom;
+
+  return config;
+}
+
+/**
+ * Apply PR_SKILLS_* environment overrides in place
+ */
+function applyEnvOverrides(config, env) {
+  for (const [name, [keyPath, type]] of Object.entries(ENV_OVERRIDES)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') continue;
+
+    let value = raw;
+    if (type === 'number') {
+      value = Number(raw);
+      if (Number.isNaN(value)) {
+        throw new Error(`Environment variable ${name} must be a number, got "${raw}"`);
+      }
+    } else if (type === 'boolean') {
+      value = raw === 'true' || raw === '1';
+    }
+
+    const keys = keyPath.split('.');
+    let target = config;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  }
+}
+
+/**
+ * Validate a value against a schema node, returning a list of error messages
+ */
+function validateValue(value, schema, where) {
+  const errors = [];
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${where} must be an object`];
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${where}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (!childSchema) {
+        errors.push(`${where}.${key} is not a known option`);
+        continue;
+      }
+      errors.push(...validateValue(child, childSchema, `${where}.${key}`));
+    }
+    return errors;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      return [`${where} must be an array`];
+    }
+    value.forEach((item, index) => {
+      errors.push(...validateValue(item, schema.items, `${where}[${index}]`));
+    });
+    return errors;
+  }
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return [`${where} must be an integer`];
+    }
+  } else if (typeof value !== schema.type) {
+    return [`${where} must be a ${schema.type}`];
+  }
+
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(`${where} must be >= ${schema.min}`);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(`${where} must be <= ${schema.max}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${where} must be at least ${schema.minLength} character(s) long`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${where} must be at most ${schema.maxLength} characters (got ${value.length})`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${where} has an invalid format`);
+  }
+
+  return errors;
+}
+
+/**
+ * Merge plain objects recursively; arrays and scalars from the override replace the base
+ */
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? clone(base) : clone(override);
+  }
+
+  const result = clone(base);
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = key in result ? deepMerge(result[key], value) : clone(value);
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  loadConfig,
+  findRepoRoot,
+  validateValue,
+  SCHEMA
+};
@@ -0,0 +1,242 @@
+const { DEFAULT_CONFIG } = require('./config');
+
+// Declarations that open a function or method, per language family; the name group is reported
+const FUNCTION_PATTERNS = [
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(?<name>[\w$]+)/,
+  /^\s*(?:export\s+)?(?:const|let|var)\s+(?<name>[\w$]+)\s*=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[\w$]+)\s*=>)/,
+  /^\s*(?:(?:public|private|protected|static|async|override|readonly|final|synchronized)\s+)*(?:[\w$<>[\],.]+\s+)?(?<name>[\w$]+)\s*\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/,
+  /^\s*(?:async\s+)?def\s+(?<name>\w+)/,
+  /^\s*func\s+(?:\([^)]*\)\s*)?(?<name>\w+)/,
+  /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+(?<name>\w+)/
+];
+
+// Control statements look like method declarations to the patterns above
+const KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'else', 'do', 'try']);
+
+// Generated files that only add noise to a trimmed diff
+const NOISE_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|go\.sum|composer\.lock)$|\.min\.(js|css)$|\.snap$/;
+
+/**
+ * Builds the code context the AI sees beyond the diff hunk
+ * Review comments get a window of the file at the commented commit, widened to the enclosing function
+ * when it fits; comments without a file get a trimmed PR diff. Both are kept within a token budget
+ */
+class ContextBuilder {
+  constructor(platform, options = {}) {
+    const defaults = DEFAULT_CONFIG.context;
+    // Review platform (see review-platform.js) the files and diffs are read from
+    this.platform = platform;
+    this.enabled = options.enabled ?? defaults.enabled;
+    this.maxTokens = options.maxTokens ?? defaults.maxTokens;
+    this.windowLines = options.windowLines ?? defaults.windowLines;
+    // Backfills process many comments on the same files and PRs
+    this.files = new Map();
+    this.diffs = new Map();
+  }
+
+  /**
+   * Build the context section for a comment, or null when there is nothing to add
+   */
+  async build(commentData) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      if (commentData.filePath && commentData.commitId && commentData.line) {
+        // Lines on the left side of the diff refer to the old file, not the file at commit_id
+        return commentData.side === 'LEFT' ? null : await this.buildFileContext(commentData);
+      }
+      if (commentData.pr && !commentData.filePath) {
+        return await this.buildDiffContext(commentData.pr);
+      }
+    } catch (error) {
+      if (error.code === 'ENOCASSETTE') throw error;
+      console.warn(`Could not fetch code context for comment ${commentData.id ?? ''}:`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * A numbered window of the commented file, with the commented lines marked
+   */
+  async buildFileContext({ filePath, commitId, line, startLine }) {
+    const lines = (await this.readFile(filePath, commitId)).split('\n');
+    const first = Math.min(startLine || line, line);
+    const last = Math.min(line, lines.length);
+    if (first > lines.length) {
+      return null;
+    }
+
+    let from = Math.max(1, first - this.windowLines);
+    let to = Math.min(lines.length, last + this.windowLines);
+
+    const enclosing = this.findEnclosingFunction(lines, first, last);
+    if (enclosing && this.fits(lines, enclosing.startLine, enclosing.endLine)) {
+      from = enclosing.startLine;
+      to = enclosing.endLine;
+    }
+
+    // Shrink the window evenly around the commented lines until it fits, then cut long commented ranges
+    while (!this.fits(lines, from, to) && to > from) {
+      if (from < first) from++;
+      if (to > last || from >= first) to--;
+    }
+
+    const numbered = [];
+    if (enclosing && enclosing.startLine < from) {
+      numbered.push(this.numberLine(lines, enclosing.startLine, false), '     ...');
+    }
+    for (let n = from; n <= to; n++) {
+      numbered.push(this.numberLine(lines, n, n >= first && n <= last));
+    }
+
+    const scope = enclosing ? `, in ${enclosing.name}()` : '';
+    return `File ${filePath} at ${commitId.slice(0, 7)}, lines ${from}-${to}${scope} (commented lines marked with >):
+\`\`\`
+${numbered.join('\n')}
+\`\`\``;
+  }
+
+  /**
+   * The PR diff without lockfiles and generated files, cut to the token budget file by file
+   */
+  async buildDiffContext(prNumber) {
+    const diff = await this.readDiff(prNumber);
+    if (!diff || typeof diff !== 'string') {
+      return null;
+    }
+
+    const files = diff.split(/^(?=diff --git )/m).filter(section => section.startsWith('diff --git '));
+    const budget = this.maxTokens * 4;
+    const kept = [];
+    const omitted = [];
+    let used = 0;
+
+    for (const section of files) {
+      const filePath = (section.match(/^diff --git a\/\S+ b\/(\S+)/) || [])[1] || '';
+      if (NOISE_FILES.test(filePath)) {
+        omitted.push(filePath);
+        continue;
+      }
+      if (used + section.length <= budget) {
+        kept.push(section.trimEnd());
+        used += section.length;
+      } else if (budget - used > 200) {
+        // Keep the start of the first file that does not fit, then only list the rest
+        kept.push(`${section.slice(0, budget - used).replace(/\n[^\n]*$/, '')}\n... (truncated)`);
+        used = budget;
+      } else {
+        omitted.push(filePath);
+      }
+    }
+
+    if (kept.length === 0) {
+      return null;
+    }
+
+    const note = omitted.length > 0 ? `\nOmitted files: ${omitted.join(', ')}` : '';
+    return `Pull request diff (trimmed):
+\`\`\`diff
+${kept.join('\n')}
+\`\`\`${note}`;
+  }
+
+  /**
+   * Find the innermost function declared above the commented lines whose body contains them
+   * Brace languages are matched by counting braces, others by indentation
+   */
+  findEnclosingFunction(lines, first, last) {
+    const commentedIndent = this.indentOf(lines[first - 1]);
+
+    for (let n = first; n >= 1 && n > first - 500; n--) {
+      const text = lines[n - 1];
+      if (!text.trim() || (n < first && this.indentOf(text) >= commentedIndent)) continue;
+
+      const name = this.matchDeclaration(text);
+      if (!name) continue;
+
+      const endLine = this.findFunctionEnd(lines, n);
+      if (endLine >= last) {
+        return { name, startLine: n, endLine };
+      }
+    }
+    return null;
+  }
+
+  matchDeclaration(text) {
+    for (const pattern of FUNCTION_PATTERNS) {
+      const match = text.match(pattern);
+      if (match && !KEYWORDS.has(match.groups.name)) {
+        return match.groups.name;
+      }
+    }
+    return null;
+  }
+
+  findFunctionEnd(lines, startLine) {
+    // Signatures may wrap, so the opening brace is looked for over a few lines
+    const opening = lines.slice(startLine - 1, startLine + 4).findIndex(text => text.includes('{'));
+    if (opening !== -1 && !/:\s*$/.test(lines[startLine - 1])) {
+      let depth = 0;
+      for (let n = startLine; n <= lines.length; n++) {
+        for (const char of this.stripStrings(lines[n - 1])) {
+          if (char === '{') depth++;
+          if (char === '}' && --depth === 0) return n;
+        }
+      }
+      return lines.length;
+    }
+
+    const indent = this.indentOf(lines[startLine - 1]);
+    let end = startLine;
+    for (let n = startLine + 1; n <= lines.length; n++) {
+      if (!lines[n - 1].trim()) continue;
+      if (this.indentOf(lines[n - 1]) <= indent) break;
+      end = n;
+    }
+    return end;
+  }
+
+  stripStrings(text) {
+    return text
+      .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""')
+      .replace(/\/\/.*$|#.*$/, '');
+  }
+
+  indentOf(text) {
+    return text.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+  }
+
+  numberLine(lines, n, marked) {
+    return `${marked ? '>' : ' '}${String(n).padStart(4)} | ${lines[n - 1]}`;
+  }
+
+  fits(lines, from, to) {
+    return this.estimateTokens(lines.slice(from - 1, to).join('\n')) + 2 * (to - from + 1) <= this.maxTokens;
+  }
+
+  /**
+   * Rough token count; about four characters per token for code and English
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  async readFile(filePath, ref) {
+    const key = `${ref}:${filePath}`;
+    if (!this.files.has(key)) {
+      this.files.set(key, this.platform.getFileText(filePath, ref));
+    }
+    return this.files.get(key);
+  }
+
+  async readDiff(prNumber) {
+    if (!this.diffs.has(prNumber)) {
+      this.diffs.set(prNumber, this.platform.getPRDiff(prNumber));
+    }
+    return this.diffs.get(prNumber);
+  }
+}
+
+module.exports = ContextBuilder;
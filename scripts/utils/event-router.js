@@ -0,0 +1,209 @@
+/**
+ * Event router that normalizes GitHub webhook payloads into comment data
+ * Supports issue_comment, pull_request_review_comment, pull_request_review
+ * and pull_request_review_thread (resolved/unresolved)
+ */
+class EventRouter {
+  /**
+   * Route an event payload to the matching normalizer
+   * Returns { skipped: true, reason } when the event carries nothing to process
+   */
+  route(eventName, eventData) {
+    const name = eventName || this.detectEventName(eventData);
+
+    switch (name) {
+      case 'issue_comment':
+        return this.fromIssueComment(eventData);
+      case 'pull_request_review_comment':
+        return this.fromReviewComment(eventData);
+      case 'pull_request_review':
+        return this.fromReview(eventData);
+      case 'pull_request_review_thread':
+        return this.fromReviewThread(eventData);
+      default:
+        return this.skip(`Unsupported event: ${name || 'unknown'}`);
+    }
+  }
+
+  /**
+   * Infer the event name from the payload shape when GITHUB_EVENT_NAME is not set
+   */
+  detectEventName(eventData) {
+    if (eventData.thread && eventData.pull_request) {
+      return 'pull_request_review_thread';
+    }
+    if (eventData.review && eventData.pull_request) {
+      return 'pull_request_review';
+    }
+    if (eventData.comment && eventData.pull_request) {
+      return 'pull_request_review_comment';
+    }
+    if (eventData.comment && eventData.issue) {
+      return 'issue_comment';
+    }
+    return null;
+  }
+
+  /**
+   * Normalize an issue_comment payload (top-level PR conversation comment)
+   */
+  fromIssueComment(eventData) {
+    const { comment, issue } = eventData;
+
+    if (!issue?.pull_request) {
+      return this.skip('Not a pull request comment');
+    }
+    if (!comment) {
+      return this.skip('No comment found in event data');
+    }
+
+    return this.build(eventData, 'issue_comment', issue.number, {
+      id: comment.id,
+      kind: 'issue_comment',
+      body: comment.body || '',
+      author: comment.user?.login,
+      authorType: comment.user?.type,
+      // Hand-crafted test events may carry a path without the diff hunk
+      filePath: comment.path || '',
+      diffHunk: comment.diff_hunk || '',
+      needsDetails: Boolean(comment.path && !comment.diff_hunk),
+      url: comment.html_url,
+      date: comment.created_at
+    });
+  }
+
+  /**
+   * Normalize a pull_request_review_comment payload (inline diff comment)
+   */
+  fromReviewComment(eventData) {
+    const { comment, pull_request: pullRequest } = eventData;
+
+    if (!comment) {
+      return this.skip('No comment found in event data');
+    }
+
+    return this.build(eventData, 'pull_request_review_comment', pullRequest.number, this.reviewCommentData(comment));
+  }
+
+  /**
+   * Map a REST review comment object to normalized comment data
+   * Shared by the webhook path and by callers that list comments through the API
+   */
+  reviewCommentData(comment) {
+    // An outdated comment has no line in the current diff; its original line is on the commit it was made on
+    const outdated = comment.line == null && comment.original_line != null;
+
+    return {
+      id: comment.id,
+      kind: 'review_comment',
+      body: comment.body || '',
+      author: comment.user?.login,
+      authorType: comment.user?.type,
+      filePath: comment.path || '',
+      diffHunk: comment.diff_hunk || '',
+      line: outdated ? comment.original_line : comment.line ?? null,
+      startLine: (outdated ? comment.original_start_line : comment.start_line) ?? null,
+      side: comment.side || null,
+      commitId: (outdated ? comment.original_commit_id : comment.commit_id) || null,
+      reviewId: comment.pull_request_review_id || null,
+      inReplyToId: comment.in_reply_to_id || null,
+      needsDetails: false,
+      url: comment.html_url,
+      date: comment.created_at
+    };
+  }
+
+  /**
+   * Map a review thread comment from GitHubAPI.getReviewThreads to normalized comment data
+   */
+  threadCommentData(comment) {
+    return {
+      id: comment.id,
+      kind: 'review_comment',
+      body: comment.body,
+      author: comment.author,
+      // GraphQL reports bot authors as the Bot type, like REST
+      authorType: comment.authorType,
+      filePath: comment.path || '',
+      diffHunk: comment.diffHunk,
+      line: comment.line,
+      startLine: comment.startLine,
+      side: comment.side || null,
+      commitId: comment.commitId,
+      reviewId: null,
+      inReplyToId: comment.inReplyToId,
+      needsDetails: false,
+      url: comment.url,
+      date: comment.createdAt
+    };
+  }
+
+  /**
+   * Normalize a pull_request_review payload (review summary)
+   */
+  fromReview(eventData) {
+    const { review, pull_request: pullRequest } = eventData;
+
+    if (!review) {
+      return this.skip('No review found in event data');
+    }
+    if (!review.body || !review.body.trim()) {
+      return this.skip(`Review ${review.id} has no summary body`);
+    }
+
+    return this.build(eventData, 'pull_request_review', pullRequest.number, {
+      id: review.id,
+      kind: 'review',
+      body: review.body,
+      author: review.user?.login,
+      authorType: review.user?.type,
+      filePath: '',
+      diffHunk: '',
+      reviewState: review.state,
+      commitId: review.commit_id || null,
+      needsDetails: false,
+      url: review.html_url,
+      date: review.submitted_at
+    });
+  }
+
+  /**
+   * Normalize a pull_request_review_thread payload (thread resolved or unresolved)
+   * The thread is represented by its root comment
+   */
+  fromReviewThread(eventData) {
+    const { thread, pull_request: pullRequest } = eventData;
+    const root = thread?.comments?.[0];
+
+    if (!root) {
+      return this.skip('No thread comments found in event data');
+    }
+
+    return this.build(eventData, 'pull_request_review_thread', pullRequest.number, this.reviewCommentData(root));
+  }
+
+  /**
+   * Build the routed event result
+   */
+  build(eventData, eventName, prNumber, comment) {
+    const prAuthor = (eventData.pull_request || eventData.issue)?.user?.login;
+
+    return {
+      skipped: false,
+      event: eventName,
+      action: eventData.action,
+      repository: eventData.repository?.full_name,
+      prNumber,
+      comment: { ...comment, pr: prNumber, prAuthor }
+    };
+  }
+
+  /**
+   * Build a skipped result
+   */
+  skip(reason) {
+    return { skipped: true, reason };
+  }
+}
+
+module.exports = EventRouter;
@@ -1,71 +1,443 @@
-const https = require('https');
-const { URL } = require('url');
+const fs = require('fs');
+const GitHubAppAuth = require('./github-app-auth');
+const { getDefaultTransport } = require('./http-transport');
+const { splitSuggestions } = require('./suggestion-parser');
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const DEFAULT_ACCEPT = 'application/vnd.github.v3+json';
+// Methods that can be repeated without side effects when a request fails halfway
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Fields of a review thread comments connection, shared by the first page and the pages after it
+const REVIEW_THREAD_COMMENTS = `pageInfo { hasNextPage endCursor }
+                nodes {
+                  databaseId
+                  body
+                  author { login __typename }
+                  createdAt
+                  url
+                  diffHunk
+                  path
+                  line
+                  startLine
+                  originalLine
+                  originalStartLine
+                  commit { oid }
+                  originalCommit { oid }
+                  replyTo { databaseId }
+                }`;
 
 /**
  * GitHub API client for fetching PR comments, diffs, and metadata
+ * Works against github.com and GitHub Enterprise Server, with a token or as a GitHub App
  */
 class GitHubAPI {
-  constructor(token, owner, repo) {
+  /**
+   * token is a personal access token or GITHUB_TOKEN; pass null with options.appAuth to authenticate as an app
+   * options.baseURL is the REST root, e.g. https://ghe.example.com/api/v3 for GitHub Enterprise Server
+   */
+  constructor(token, owner, repo, options = {}) {
     this.token = token;
+    this.appAuth = options.appAuth || null;
+    // Live, recording or replaying HTTP (see http-transport.js)
+    this.transport = options.transport || getDefaultTransport();
     this.owner = owner;
     this.repo = repo;
-    this.baseURL = 'https://api.github.com';
+    this.baseURL = (options.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    // GHES serves GraphQL at /api/graphql next to /api/v3; github.com at api.github.com/graphql
+    this.graphqlURL = options.graphqlURL || (/\/api\/v3$/.test(this.baseURL)
+      ? this.baseURL.replace(/\/api\/v3$/, '/api/graphql')
+      : `${this.baseURL}/graphql`);
+    // Web UI root, used for links to files
+    this.webURL = (options.webURL || (this.baseURL === DEFAULT_BASE_URL
+      ? 'https://github.com'
+      : this.baseURL.replace(/\/api\/v3$/, ''))).replace(/\/+$/, '');
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    // Longest we are willing to sleep for a rate limit before giving up
+    this.maxRateLimitWait = options.maxRateLimitWait ?? 15 * 60 * 1000;
+    this.rateLimit = { remaining: null, reset: null };
+    // GET responses by method, URL and Accept header, revalidated with If-None-Match; 304 responses do not
+    // count against the rate limit. Map order is recency, so the first key is the least recently used
+    this.etagCache = new Map();
+    this.etagCacheSize = options.etagCacheSize ?? 500;
+  }
+
+  /**
+   * Create a client from environment variables
+   * GitHub App credentials (GITHUB_APP_ID with GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH) take
+   * precedence over GITHUB_TOKEN; GITHUB_API_URL, GITHUB_GRAPHQL_URL and GITHUB_SERVER_URL select the host
+   */
+  static fromEnvironment(owner, repo, env = process.env) {
+    const options = {
+      baseURL: env.GITHUB_API_URL,
+      graphqlURL: env.GITHUB_GRAPHQL_URL,
+      webURL: env.GITHUB_SERVER_URL
+    };
+
+    if (env.GITHUB_APP_ID) {
+      const privateKey = env.GITHUB_APP_PRIVATE_KEY_PATH
+        ? fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8')
+        // Keys stored in secrets often have their newlines escaped
+        : (env.GITHUB_APP_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+      options.appAuth = new GitHubAppAuth({
+        appId: env.GITHUB_APP_ID,
+        privateKey,
+        installationId: env.GITHUB_APP_INSTALLATION_ID || null
+      });
+      return new GitHubAPI(null, owner, repo, options);
+    }
+
+    if (!env.GITHUB_TOKEN) {
+      throw new Error('GITHUB_TOKEN environment variable not set (or set GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY)');
+    }
+    return new GitHubAPI(env.GITHUB_TOKEN, owner, repo, options);
+  }
+
+  /**
+   * Authorization header value for the next request
+   * App installation tokens are refreshed shortly before they expire
+   */
+  async getAuthorization() {
+    if (this.appAuth) {
+      return `token ${await this.appAuth.getToken(this)}`;
+    }
+    return `token ${this.token}`;
   }
 
   /**
-   * Make a GitHub API request
+   * Make a GitHub API request and return the parsed response body
    */
   async request(endpoint, options = {}) {
-    const url = new URL(`${this.baseURL}${endpoint}`);
-    
-    const requestOptions = {
-      hostname: url.hostname,
-      path: url.pathname + url.search,
-      method: options.method || 'GET',
+    const response = await this.send(endpoint, options);
+    return response.data;
+  }
+
+  /**
+   * Send a request and return { status, headers, data }
+   * Accepts an endpoint path or an absolute URL (as found in Link headers)
+   * Waits out rate limits, retries server and network errors, and revalidates cached GETs
+   * A failed POST or PATCH may already have taken effect, so it is only retried when rate limited;
+   * options.idempotent marks a POST that only reads (GraphQL queries)
+   */
+  async send(endpoint, options = {}) {
+    const url = /^https?:\/\//.test(endpoint) ? endpoint : `${this.baseURL}${endpoint}`;
+    const method = options.method || 'GET';
+    // One URL serves different representations (JSON, diff) depending on the Accept header
+    const cacheKey = `${method} ${url} ${options.headers?.Accept || DEFAULT_ACCEPT}`;
+    const cached = method === 'GET' ? this.getCachedResponse(cacheKey) : null;
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+
+      const headers = { ...options.headers };
+      // Requests that bring their own credentials (the app JWT) keep them
+      if (!headers.Authorization) {
+        headers.Authorization = await this.getAuthorization();
+      }
+      if (cached) {
+        headers['If-None-Match'] = cached.etag;
+      }
+
+      let response;
+      try {
+        response = await this.sendOnce(url, { ...options, method, headers });
+      } catch (error) {
+        // A request missing from the cassettes will not appear on retry
+        if (attempt >= this.maxRetries || !idempotent || error.code === 'ENOCASSETTE') throw error;
+        const delay = this.backoff(attempt);
+        console.warn(`GitHub API network error (${error.code || error.message}), retrying in ${Math.round(delay / 1000)}s`);
+        await this.sleep(delay);
+        continue;
+      }
+
+      this.updateRateLimit(response.headers);
+
+      if (response.status === 304 && cached) {
+        // A 304 may omit headers such as Link, so the cached ones fill the gaps
+        return { status: 200, headers: { ...cached.headers, ...response.headers }, data: cached.data };
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        if (method === 'GET' && response.headers.etag) {
+          this.cacheResponse(cacheKey, { etag: response.headers.etag, headers: response.headers, data: response.data });
+        }
+        return response;
+      }
+
+      const wait = this.getRateLimitWait(response);
+      if (wait !== null && attempt < this.maxRetries) {
+        if (wait > this.maxRateLimitWait) {
+          throw this.toError(response, `rate limited for ${Math.round(wait / 1000)}s`);
+        }
+        console.warn(`GitHub API rate limit hit, waiting ${Math.round(wait / 1000)}s`);
+        await this.sleep(wait);
+        continue;
+      }
+
+      if (response.status >= 500 && idempotent && attempt < this.maxRetries) {
+        const delay = this.backoff(attempt);
+        console.warn(`GitHub API error ${response.status}, retrying in ${Math.round(delay / 1000)}s`);
+        await this.sleep(delay);
+        continue;
+      }
+
+      throw this.toError(response);
+    }
+  }
+
+  /**
+   * Get a cached GET response and mark it as recently used
+   */
+  getCachedResponse(key) {
+    const entry = this.etagCache.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.etagCache.delete(key);
+    this.etagCache.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Cache a GET response, evicting the least recently used ones beyond etagCacheSize
+   */
+  cacheResponse(key, entry) {
+    this.etagCache.delete(key);
+    this.etagCache.set(key, entry);
+    while (this.etagCache.size > this.etagCacheSize) {
+      this.etagCache.delete(this.etagCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Perform a single HTTP request; resolves with any status and only rejects on network errors
+   */
+  async sendOnce(url, options) {
+    const response = await this.transport.request({
+      url,
+      method: options.method,
       headers: {
-        'Authorization': `token ${this.token}`,
-        'Accept': 'application/vnd.github.v3+json',
+        'Accept': DEFAULT_ACCEPT,
         'User-Agent': 'PR-Skills-Extractor',
         ...options.headers
-      }
-    };
+      },
+      body: options.body ? JSON.stringify(options.body) : null
+    });
 
-    return new Promise((resolve, reject) => {
-      const req = https.request(requestOptions, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              resolve(data);
-            }
-          } else {
-            reject(new Error(`GitHub API error: ${res.statusCode} - ${data}`));
-          }
-        });
-      });
-      
-      req.on('error', reject);
-      
-      if (options.body) {
-        req.write(JSON.stringify(options.body));
+    let parsed;
+    try {
+      parsed = JSON.parse(response.raw);
+    } catch (e) {
+      parsed = response.raw;
+    }
+    return { status: response.status, headers: response.headers, data: parsed, raw: response.raw };
+  }
+
+  /**
+   * Record the primary rate limit state from response headers
+   */
+  updateRateLimit(headers) {
+    if (headers['x-ratelimit-remaining'] !== undefined) {
+      this.rateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    }
+    if (headers['x-ratelimit-reset'] !== undefined) {
+      this.rateLimit.reset = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+    }
+  }
+
+  /**
+   * Sleep until the rate limit resets when the previous response used up the quota
+   */
+  async waitForRateLimit() {
+    const { remaining, reset } = this.rateLimit;
+    if (remaining !== 0 || !reset) {
+      return;
+    }
+
+    const wait = reset - Date.now() + 1000;
+    if (wait <= 0) {
+      return;
+    }
+    if (wait > this.maxRateLimitWait) {
+      throw new Error(`GitHub API rate limit exhausted until ${new Date(reset).toISOString()}`);
+    }
+
+    console.warn(`GitHub API rate limit exhausted, waiting ${Math.round(wait / 1000)}s for reset`);
+    await this.sleep(wait);
+    this.rateLimit.remaining = null;
+  }
+
+  /**
+   * How long to wait before retrying a rate-limited response, or null if it was not rate limited
+   * Covers primary limits (remaining = 0) and secondary limits (retry-after or the error message)
+   */
+  getRateLimitWait(response) {
+    if (response.status !== 403 && response.status !== 429) {
+      return null;
+    }
+
+    const retryAfter = response.headers['retry-after'];
+    if (retryAfter !== undefined) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+
+    if (response.headers['x-ratelimit-remaining'] === '0' && response.headers['x-ratelimit-reset']) {
+      return Math.max(0, parseInt(response.headers['x-ratelimit-reset'], 10) * 1000 - Date.now()) + 1000;
+    }
+
+    if (/secondary rate limit/i.test(response.raw || '')) {
+      return 60 * 1000;
+    }
+
+    return null;
+  }
+
+  /**
+   * Exponential backoff with jitter so parallel workers do not retry in lockstep
+   */
+  backoff(attempt) {
+    const delay = this.retryDelay * 2 ** attempt;
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  toError(response, detail = null) {
+    const error = new Error(`GitHub API error: ${response.status} - ${detail || response.raw}`);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Iterate over every item of a paginated list endpoint, following Link rel="next" headers
+   * Usage: for await (const comment of api.paginate('/repos/o/r/pulls/1/comments')) { ... }
+   */
+  async *paginate(endpoint, { perPage = 100 } = {}) {
+    let url = /[?&]per_page=/.test(endpoint)
+      ? endpoint
+      : `${endpoint}${endpoint.includes('?') ? '&' : '?'}per_page=${perPage}`;
+
+    while (url) {
+      const response = await this.send(url);
+      const items = Array.isArray(response.data) ? response.data : [];
+      for (const item of items) {
+        yield item;
       }
-      
-      req.end();
-    });
+      url = GitHubAPI.parseNextLink(response.headers.link);
+    }
+  }
+
+  /**
+   * Collect every item of a paginated list endpoint into an array
+   */
+  async paginateAll(endpoint, options = {}) {
+    const items = [];
+    for await (const item of this.paginate(endpoint, options)) {
+      items.push(item);
+    }
+    return items;
   }
 
   /**
-   * Get PR review comments
+   * Get all review comments of a PR
    */
   async getPRComments(prNumber) {
-    return this.request(`/repos/${this.owner}/${this.repo}/pulls/${prNumber}/comments`);
+    return this.paginateAll(`/repos/${this.owner}/${this.repo}/pulls/${prNumber}/comments`);
+  }
+
+  /**
+   * Iterate over the review comments of a PR
+   */
+  listReviewComments(prNumber) {
+    return this.paginate(`/repos/${this.owner}/${this.repo}/pulls/${prNumber}/comments`);
+  }
+
+  /**
+   * Iterate over review comments across the repository, optionally only those updated since a date
+   */
+  listRepoReviewComments({ since = null, sort = 'updated', direction = 'asc' } = {}) {
+    const query = [`sort=${sort}`, `direction=${direction}`];
+    if (since) {
+      query.push(`since=${encodeURIComponent(new Date(since).toISOString())}`);
+    }
+    return this.paginate(`/repos/${this.owner}/${this.repo}/pulls/comments?${query.join('&')}`);
+  }
+
+  /**
+   * Iterate over pull requests
+   */
+  listPRs({ state = 'closed', sort = 'created', direction = 'desc' } = {}) {
+    return this.paginate(`/repos/${this.owner}/${this.repo}/pulls?state=${state}&sort=${sort}&direction=${direction}`);
+  }
+
+  /**
+   * Iterate over the reviews of a PR
+   */
+  listReviews(prNumber) {
+    return this.paginate(`/repos/${this.owner}/${this.repo}/pulls/${prNumber}/reviews`);
+  }
+
+  /**
+   * Get all conversation (issue) comments of a PR
+   */
+  async getIssueComments(issueNumber, options = {}) {
+    return this.paginateAll(this.issueCommentsEndpoint(issueNumber, options));
+  }
+
+  /**
+   * Iterate over the conversation (issue) comments of a PR, optionally only those updated since a date
+   */
+  listIssueComments(issueNumber, options = {}) {
+    return this.paginate(this.issueCommentsEndpoint(issueNumber, options));
+  }
+
+  issueCommentsEndpoint(issueNumber, { since = null } = {}) {
+    const query = since ? `?since=${encodeURIComponent(new Date(since).toISOString())}` : '';
+    return `/repos/${this.owner}/${this.repo}/issues/${issueNumber}/comments${query}`;
+  }
+
+  /**
+   * Reply in the thread of a PR review comment
+   */
+  async createReviewCommentReply(prNumber, commentId, body) {
+    return this.request(`/repos/${this.owner}/${this.repo}/pulls/${prNumber}/comments/${commentId}/replies`, {
+      method: 'POST',
+      body: { body }
+    });
+  }
+
+  /**
+   * Update the body of a PR review comment
+   */
+  async updateReviewComment(commentId, body) {
+    return this.request(`/repos/${this.owner}/${this.repo}/pulls/comments/${commentId}`, {
+      method: 'PATCH',
+      body: { body }
+    });
+  }
+
+  /**
+   * Post a comment on a PR conversation
+   */
+  async createIssueComment(issueNumber, body) {
+    return this.request(`/repos/${this.owner}/${this.repo}/issues/${issueNumber}/comments`, {
+      method: 'POST',
+      body: { body }
+    });
+  }
+
+  /**
+   * Update the body of a PR conversation comment
+   */
+  async updateIssueComment(commentId, body) {
+    return this.request(`/repos/${this.owner}/${this.repo}/issues/comments/${commentId}`, {
+      method: 'PATCH',
+      body: { body }
+    });
   }
 
   /**
@@ -75,6 +447,179 @@ class GitHubAPI {
     return this.request(`/repos/${this.owner}/${this.repo}/pulls/comments/${commentId}`);
   }
 
+  /**
+   * Run a GraphQL query and return its data
+   * Queries only read, so they are retried like GETs
+   */
+  async graphql(query, variables = {}) {
+    const response = await this.request(this.graphqlURL, {
+      method: 'POST',
+      idempotent: true,
+      body: { query, variables }
+    });
+
+    if (response.errors) {
+      throw new Error(`GitHub GraphQL error: ${response.errors.map(e => e.message).join(', ')}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Get every review thread of a PR with its resolution state and comments
+   * Returns [{ id, isResolved, isOutdated, path, line, startLine, comments: [{ id, body, author, ... }] }]
+   */
+  async getReviewThreads(prNumber) {
+    const query = `query($owner: String!, $repo: String!, $number: Int!, $after: String) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          reviewThreads(first: 50, after: $after) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              id
+              isResolved
+              isOutdated
+              path
+              diffSide
+              line
+              startLine
+              originalLine
+              originalStartLine
+              comments(first: 100) {
+                ${REVIEW_THREAD_COMMENTS}
+              }
+            }
+          }
+        }
+      }
+    }`;
+
+    const threads = [];
+    let after = null;
+    do {
+      const data = await this.graphql(query, { owner: this.owner, repo: this.repo, number: prNumber, after });
+      const connection = data.repository?.pullRequest?.reviewThreads;
+      if (!connection) break;
+
+      for (const node of connection.nodes) {
+        threads.push({
+          id: node.id,
+          isResolved: node.isResolved,
+          isOutdated: node.isOutdated,
+          path: node.path,
+          line: node.line ?? node.originalLine ?? null,
+          startLine: node.startLine ?? node.originalStartLine ?? null,
+          comments: (await this.getReviewThreadComments(node.id, node.comments)).map(comment => this.reviewThreadComment(comment, node.diffSide))
+        });
+      }
+
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    return threads;
+  }
+
+  /**
+   * All comment nodes of a review thread, starting from the first page fetched with the thread
+   * Long threads continue page by page through the thread node
+   */
+  async getReviewThreadComments(threadId, firstPage) {
+    const query = `query($id: ID!, $after: String) {
+      node(id: $id) {
+        ... on PullRequestReviewThread {
+          comments(first: 100, after: $after) {
+            ${REVIEW_THREAD_COMMENTS}
+          }
+        }
+      }
+    }`;
+
+    const comments = [...firstPage.nodes];
+    let pageInfo = firstPage.pageInfo;
+    while (pageInfo?.hasNextPage) {
+      const data = await this.graphql(query, { id: threadId, after: pageInfo.endCursor });
+      const connection = data.node?.comments;
+      if (!connection) break;
+
+      comments.push(...connection.nodes);
+      pageInfo = connection.pageInfo;
+    }
+    return comments;
+  }
+
+  /**
+   * Map a GraphQL review thread comment; an outdated comment's original line is paired with its original commit
+   * side is the diff side of the thread, which GraphQL reports on the thread rather than on its comments
+   */
+  reviewThreadComment(comment, side = null) {
+    const outdated = comment.line == null && comment.originalLine != null;
+    return {
+      id: comment.databaseId,
+      body: comment.body || '',
+      author: comment.author?.login,
+      authorType: comment.author?.__typename,
+      createdAt: comment.createdAt,
+      url: comment.url,
+      diffHunk: comment.diffHunk || '',
+      path: comment.path,
+      line: outdated ? comment.originalLine : comment.line ?? null,
+      startLine: (outdated ? comment.originalStartLine : comment.startLine) ?? null,
+      side: side || null,
+      commitId: (outdated ? comment.originalCommit?.oid : comment.commit?.oid) || null,
+      inReplyToId: comment.replyTo?.databaseId || null
+    };
+  }
+
+  /**
+   * Get the review thread a review comment belongs to
+   * Returns the root comment, its replies in order, and the thread resolution status
+   */
+  async getReviewThread(prNumber, commentId) {
+    const threads = await this.getReviewThreads(prNumber);
+    const thread = threads.find(t => t.comments.some(c => c.id === commentId));
+    if (!thread) {
+      throw new Error(`Review comment ${commentId} not found on PR #${prNumber}`);
+    }
+
+    const comments = [...thread.comments].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const root = comments[0];
+    const [suggestion] = splitSuggestions(root.body).suggestions;
+
+    return {
+      rootId: root.id,
+      root,
+      comments,
+      isResolved: thread.isResolved,
+      isOutdated: thread.isOutdated,
+      // Applying a suggestion outdates the thread, but so does any other change to the commented lines
+      suggestionApplied: suggestion !== undefined && thread.isOutdated &&
+        await this.isSuggestionApplied(prNumber, root.path, suggestion)
+    };
+  }
+
+  /**
+   * Whether the file at the PR head contains a suggestion's replacement lines
+   * A suggestion that only deletes lines, or a file deleted since, cannot be confirmed and counts as not applied
+   */
+  async isSuggestionApplied(prNumber, filePath, suggestion) {
+    const normalize = text => text.split('\n').map(line => line.trimEnd()).join('\n');
+    const replacement = normalize(suggestion);
+    if (!replacement.trim()) {
+      return false;
+    }
+
+    const pr = await this.getPR(prNumber);
+    let file;
+    try {
+      file = await this.getFileText(filePath, pr.head.sha);
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+    // Whole lines only, so a one-word suggestion does not match inside an unrelated line
+    return `\n${normalize(file)}\n`.includes(`\n${replacement}\n`);
+  }
+
   /**
    * Get PR details
    */
@@ -94,11 +639,167 @@ class GitHubAPI {
   }
 
   /**
-   * Get file content from a specific commit
+   * Get a file's contents entry at a commit, branch or tag
+   * Without a ref the default branch is used
+   */
+  async getFileContent(path, ref = null) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    return this.request(`/repos/${this.owner}/${this.repo}/contents/${encodedPath}${query}`);
+  }
+
+  /**
+   * Get a file's text at a ref
+   * Files over 1 MB come without inline content and are read as a blob instead
+   */
+  async getFileText(path, ref = null) {
+    const file = await this.getFileContent(path, ref);
+    if (file.encoding === 'base64' && file.content) {
+      return Buffer.from(file.content, 'base64').toString('utf-8');
+    }
+    return this.getBlobContent(file.sha);
+  }
+
+  /**
+   * Check whether a user is an active member of an organization team
+   * Requires a token with read:org scope
+   */
+  async isTeamMember(org, teamSlug, username) {
+    try {
+      const membership = await this.request(`/orgs/${org}/teams/${teamSlug}/memberships/${username}`);
+      return membership.state === 'active';
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get repository details (default branch etc.)
+   */
+  async getRepository() {
+    return this.request(`/repos/${this.owner}/${this.repo}`);
+  }
+
+  /**
+   * Get a branch reference, or null if the branch does not exist
+   */
+  async getBranchRef(branch) {
+    try {
+      return await this.request(`/repos/${this.owner}/${this.repo}/git/ref/heads/${branch}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a branch pointing at a commit
+   */
+  async createBranchRef(branch, sha) {
+    return this.request(`/repos/${this.owner}/${this.repo}/git/refs`, {
+      method: 'POST',
+      body: { ref: `refs/heads/${branch}`, sha }
+    });
+  }
+
+  /**
+   * Move a branch to a commit
+   */
+  async updateBranchRef(branch, sha, { force = false } = {}) {
+    return this.request(`/repos/${this.owner}/${this.repo}/git/refs/heads/${branch}`, {
+      method: 'PATCH',
+      body: { sha, force }
+    });
+  }
+
+  /**
+   * Get a git commit object
+   */
+  async getGitCommit(sha) {
+    return this.request(`/repos/${this.owner}/${this.repo}/git/commits/${sha}`);
+  }
+
+  /**
+   * Get a git tree, optionally with every nested entry
+   */
+  async getTree(sha, { recursive = false } = {}) {
+    const query = recursive ? '?recursive=1' : '';
+    return this.request(`/repos/${this.owner}/${this.repo}/git/trees/${sha}${query}`);
+  }
+
+  /**
+   * Get the decoded content of a git blob
+   */
+  async getBlobContent(sha) {
+    const blob = await this.request(`/repos/${this.owner}/${this.repo}/git/blobs/${sha}`);
+    return Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
+  }
+
+  /**
+   * Create a git tree on top of a base tree
+   * Entries with sha: null delete the path
+   */
+  async createTree(baseTree, entries) {
+    return this.request(`/repos/${this.owner}/${this.repo}/git/trees`, {
+      method: 'POST',
+      body: { base_tree: baseTree, tree: entries }
+    });
+  }
+
+  /**
+   * Create a git commit object
+   */
+  async createCommit(message, tree, parents) {
+    return this.request(`/repos/${this.owner}/${this.repo}/git/commits`, {
+      method: 'POST',
+      body: { message, tree, parents }
+    });
+  }
+
+  /**
+   * Find the open pull request for a branch of this repository, or null
+   */
+  async findOpenPR(branch) {
+    const head = encodeURIComponent(`${this.owner}:${branch}`);
+    const prs = await this.request(`/repos/${this.owner}/${this.repo}/pulls?state=open&head=${head}`);
+    return Array.isArray(prs) && prs.length > 0 ? prs[0] : null;
+  }
+
+  /**
+   * Open a pull request
+   */
+  async createPR({ title, body, head, base }) {
+    return this.request(`/repos/${this.owner}/${this.repo}/pulls`, {
+      method: 'POST',
+      body: { title, body, head, base }
+    });
+  }
+
+  /**
+   * Update the title or body of a pull request
+   */
+  async updatePR(prNumber, fields) {
+    return this.request(`/repos/${this.owner}/${this.repo}/pulls/${prNumber}`, {
+      method: 'PATCH',
+      body: fields
+    });
+  }
+
+  /**
+   * Get the URL of the next page from a Link header, or null on the last page
    */
-  async getFileContent(path, ref = 'main') {
-    const encodedPath = encodeURIComponent(path);
-    return this.request(`/repos/${this.owner}/${this.repo}/contents/${encodedPath}?ref=${ref}`);
+  static parseNextLink(linkHeader) {
+    if (!linkHeader) {
+      return null;
+    }
+    const next = linkHeader.split(',').find(part => /rel="next"/.test(part));
+    const match = next && next.match(/<([^>]+)>/);
+    return match ? match[1] : null;
   }
 
   /**
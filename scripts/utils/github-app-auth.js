@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Installation tokens live for an hour; refresh this long before they expire
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Authenticates as a GitHub App installation
+ * Signs a short-lived JWT with the app's private key and exchanges it for an installation token
+ */
+class GitHubAppAuth {
+  constructor({ appId, privateKey, installationId = null }) {
+    if (!appId || !privateKey) {
+      throw new Error('GitHub App authentication requires an app ID and a private key');
+    }
+    this.appId = String(appId);
+    this.privateKey = privateKey;
+    this.installationId = installationId;
+    this.token = null;
+    this.expiresAt = 0;
+    // Concurrent requests share one token exchange
+    this.pending = null;
+  }
+
+  /**
+   * Return a valid installation token, exchanging a new one when the cached token is about to expire
+   * githubAPI sends the exchange requests; they carry the JWT instead of a token
+   */
+  async getToken(githubAPI) {
+    if (this.token && Date.now() < this.expiresAt - REFRESH_MARGIN) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.createInstallationToken(githubAPI).finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async createInstallationToken(githubAPI) {
+    const headers = { 'Authorization': `Bearer ${this.createJWT()}` };
+
+    if (!this.installationId) {
+      const installation = await githubAPI.request(`/repos/${githubAPI.owner}/${githubAPI.repo}/installation`, { headers });
+      this.installationId = installation.id;
+    }
+
+    const response = await githubAPI.request(`/app/installations/${this.installationId}/access_tokens`, {
+      method: 'POST',
+      headers
+    });
+
+    this.token = response.token;
+    this.expiresAt = Date.parse(response.expires_at);
+    return this.token;
+  }
+
+  /**
+   * Build an RS256-signed JWT identifying the app
+   * iat is backdated to allow for clock drift; GitHub rejects an exp more than 10 minutes ahead
+   */
+  createJWT(now = Date.now()) {
+    const seconds = Math.floor(now / 1000);
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const payload = { iat: seconds - 60, exp: seconds + 9 * 60, iss: this.appId };
+
+    const unsigned = `${this.encode(header)}.${this.encode(payload)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+}
+
+module.exports = GitHubAppAuth;
@@ -0,0 +1,96 @@
+const ReviewPlatform = require('./review-platform');
+const GitHubAPI = require('./github-api');
+const EventRouter = require('./event-router');
+
+/**
+ * GitHub pull requests as a review platform
+ * Inline review comments are answered in their thread, PR conversation comments on the conversation
+ */
+class GitHubPlatform extends ReviewPlatform {
+  constructor(api) {
+    super();
+    this.api = api;
+    this.router = new EventRouter();
+  }
+
+  static routeEvent(eventName, payload) {
+    return new EventRouter().route(eventName, payload);
+  }
+
+  static fromEnvironment(repository, env = process.env) {
+    const { owner, repo } = GitHubAPI.parseRepository(repository);
+    return new GitHubPlatform(GitHubAPI.fromEnvironment(owner, repo, env));
+  }
+
+  get name() {
+    return 'github';
+  }
+
+  /**
+   * Review comment events already carry the diff hunk; only hand-crafted events need it fetched
+   */
+  async getCommentDetails(commentData) {
+    if (!commentData.needsDetails) {
+      return commentData;
+    }
+
+    const reviewComment = await this.api.getPRComment(commentData.id);
+    return {
+      ...commentData,
+      diffHunk: reviewComment.diff_hunk || '',
+      filePath: reviewComment.path || commentData.filePath,
+      needsDetails: false
+    };
+  }
+
+  async getReviewThread(prNumber, commentId) {
+    const thread = await this.api.getReviewThread(prNumber, commentId);
+    return { ...thread, root: this.router.threadCommentData(thread.root) };
+  }
+
+  getFileText(filePath, ref = null) {
+    return this.api.getFileText(filePath, ref);
+  }
+
+  getPRDiff(prNumber) {
+    return this.api.getPRDiff(prNumber);
+  }
+
+  isTeamMember(org, team, username) {
+    return this.api.isTeamMember(org, team, username);
+  }
+
+  async findReply(commentData, marker) {
+    const comments = commentData.kind === 'review_comment'
+      ? this.api.listReviewComments(commentData.pr)
+      : this.api.listIssueComments(commentData.pr);
+
+    for await (const comment of comments) {
+      if ((comment.body || '').includes(marker)) {
+        return comment;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Only inline review comments have threads; other comments get a reply on the PR conversation
+   */
+  createReply(commentData, body) {
+    return commentData.kind === 'review_comment'
+      ? this.api.createReviewCommentReply(commentData.pr, commentData.id, body)
+      : this.api.createIssueComment(commentData.pr, body);
+  }
+
+  updateReply(commentData, reply, body) {
+    return commentData.kind === 'review_comment'
+      ? this.api.updateReviewComment(reply.id, body)
+      : this.api.updateIssueComment(reply.id, body);
+  }
+
+  fileURL(repoPath, ref) {
+    return `${this.api.webURL}/${this.api.owner}/${this.api.repo}/blob/${ref}/${repoPath}`;
+  }
+}
+
+module.exports = GitHubPlatform;
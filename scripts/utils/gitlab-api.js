@@ -0,0 +1,216 @@
+const { getDefaultTransport } = require('./http-transport');
+
+const DEFAULT_BASE_URL = 'https://gitlab.com/api/v4';
+// Methods that can be repeated without side effects when a request fails halfway
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * GitLab REST API (v4) client for merge request notes, discussions, diffs and files
+ */
+class GitLabAPI {
+  /**
+   * project is the project path ("group/subgroup/project") or numeric ID
+   * options.jobToken authenticates with CI_JOB_TOKEN instead of a personal or project access token
+   */
+  constructor(token, project, options = {}) {
+    this.token = token;
+    this.project = String(project);
+    this.tokenHeader = options.jobToken ? 'JOB-TOKEN' : 'PRIVATE-TOKEN';
+    this.baseURL = (options.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.webURL = (options.webURL || this.baseURL.replace(/\/api\/v4$/, '')).replace(/\/+$/, '');
+    this.transport = options.transport || getDefaultTransport();
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+  }
+
+  /**
+   * Create a client from environment variables
+   * GITLAB_TOKEN (personal or project access token) is preferred; CI_JOB_TOKEN can read but not post notes
+   * GITLAB_API_URL, or CI_API_V4_URL inside GitLab CI, selects the instance
+   */
+  static fromEnvironment(project, env = process.env) {
+    const token = env.GITLAB_TOKEN || env.CI_JOB_TOKEN;
+    if (!token) {
+      throw new Error('GITLAB_TOKEN environment variable not set');
+    }
+    return new GitLabAPI(token, project || env.CI_PROJECT_PATH, {
+      jobToken: !env.GITLAB_TOKEN,
+      baseURL: env.GITLAB_API_URL || env.CI_API_V4_URL,
+      webURL: env.CI_SERVER_URL
+    });
+  }
+
+  /**
+   * Make a GitLab API request and return the parsed response body
+   */
+  async request(endpoint, options = {}) {
+    const response = await this.send(endpoint, options);
+    return response.data;
+  }
+
+  /**
+   * Send a request and return { status, headers, data, raw }
+   * Retries rate-limited (429) and server errors
+   */
+  async send(endpoint, options = {}) {
+    const url = /^https?:\/\//.test(endpoint) ? endpoint : `${this.baseURL}${endpoint}`;
+    const method = options.method || 'GET';
+    // A failed POST may already have created its note, so only rate limits are retried for it
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await this.transport.request({
+          url,
+          method,
+          headers: {
+            [this.tokenHeader]: this.token,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'User-Agent': 'PR-Skills-Extractor'
+          },
+          body: options.body ? JSON.stringify(options.body) : null
+        });
+      } catch (error) {
+        if (attempt >= this.maxRetries || !idempotent || error.code === 'ENOCASSETTE') throw error;
+        await this.sleep(this.backoff(attempt));
+        continue;
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        let data;
+        try {
+          data = JSON.parse(response.raw);
+        } catch (e) {
+          data = response.raw;
+        }
+        return { status: response.status, headers: response.headers, data, raw: response.raw };
+      }
+
+      if ((response.status === 429 || (response.status >= 500 && idempotent)) && attempt < this.maxRetries) {
+        const retryAfter = parseInt(response.headers['retry-after'], 10);
+        const delay = Number.isNaN(retryAfter) ? this.backoff(attempt) : retryAfter * 1000;
+        console.warn(`GitLab API error ${response.status}, retrying in ${Math.round(delay / 1000)}s`);
+        await this.sleep(delay);
+        continue;
+      }
+
+      const error = new Error(`GitLab API error: ${response.status} - ${response.raw}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over every item of a paginated list endpoint, following the x-next-page header
+   */
+  async *paginate(endpoint, { perPage = 100 } = {}) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let page = '1';
+
+    while (page) {
+      const response = await this.send(`${endpoint}${separator}per_page=${perPage}&page=${page}`);
+      const items = Array.isArray(response.data) ? response.data : [];
+      for (const item of items) {
+        yield item;
+      }
+      page = response.headers['x-next-page'] || null;
+    }
+  }
+
+  async paginateAll(endpoint, options = {}) {
+    const items = [];
+    for await (const item of this.paginate(endpoint, options)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  projectPath() {
+    return `/projects/${encodeURIComponent(this.project)}`;
+  }
+
+  mergeRequestPath(iid) {
+    return `${this.projectPath()}/merge_requests/${iid}`;
+  }
+
+  async getMergeRequest(iid) {
+    return this.request(this.mergeRequestPath(iid));
+  }
+
+  /**
+   * Get the changed files of a merge request as [{ old_path, new_path, diff, new_file, deleted_file }]
+   * Instances older than GitLab 15.7 only have the /changes endpoint
+   */
+  async getMergeRequestDiffs(iid) {
+    try {
+      return await this.paginateAll(`${this.mergeRequestPath(iid)}/diffs`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      const changes = await this.request(`${this.mergeRequestPath(iid)}/changes`);
+      return changes.changes || [];
+    }
+  }
+
+  async getDiscussions(iid) {
+    return this.paginateAll(`${this.mergeRequestPath(iid)}/discussions`);
+  }
+
+  /**
+   * Iterate over every note (comment) of a merge request, oldest first
+   */
+  listNotes(iid) {
+    return this.paginate(`${this.mergeRequestPath(iid)}/notes?sort=asc&order_by=created_at`);
+  }
+
+  async createNote(iid, body) {
+    return this.request(`${this.mergeRequestPath(iid)}/notes`, { method: 'POST', body: { body } });
+  }
+
+  /**
+   * Reply in an existing discussion thread
+   */
+  async createDiscussionNote(iid, discussionId, body) {
+    return this.request(`${this.mergeRequestPath(iid)}/discussions/${discussionId}/notes`, {
+      method: 'POST',
+      body: { body }
+    });
+  }
+
+  async updateNote(iid, noteId, body) {
+    return this.request(`${this.mergeRequestPath(iid)}/notes/${noteId}`, { method: 'PUT', body: { body } });
+  }
+
+  /**
+   * Get a file's text at a ref; the body is returned as is, even for JSON files
+   */
+  async getFileRaw(filePath, ref = 'HEAD') {
+    const response = await this.send(`${this.projectPath()}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`);
+    return response.raw;
+  }
+
+  /**
+   * Check whether a user is a member of a group, directly or through a parent group
+   */
+  async isGroupMember(group, username) {
+    const members = this.paginate(`/groups/${encodeURIComponent(group)}/members/all?query=${encodeURIComponent(username)}`);
+    for await (const member of members) {
+      if (member.username.toLowerCase() === username.toLowerCase()) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  backoff(attempt) {
+    const delay = this.retryDelay * 2 ** attempt;
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = GitLabAPI;
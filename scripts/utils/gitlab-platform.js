@@ -0,0 +1,209 @@
+const ReviewPlatform = require('./review-platform');
+const GitLabAPI = require('./gitlab-api');
+const { extractHunk } = require('./unified-diff');
+
+// Note hook actions mapped to the GitHub webhook actions the rest of the pipeline uses
+const NOTE_ACTIONS = { create: 'created', update: 'edited' };
+
+/**
+ * GitLab merge requests as a review platform
+ * Diff notes (comments on a line) become review comments and are answered in their discussion;
+ * other merge request notes become conversation comments
+ */
+class GitLabPlatform extends ReviewPlatform {
+  constructor(api) {
+    super();
+    this.api = api;
+    this.diffs = new Map();
+  }
+
+  /**
+   * Normalize a Note Hook payload (webhook, or TRIGGER_PAYLOAD in a triggered pipeline)
+   * Note hooks carry no diff hunk or merge request author, so every comment needs details
+   */
+  static routeEvent(eventName, payload) {
+    if (payload.object_kind !== 'note') {
+      return GitLabPlatform.skip(`Unsupported event: ${eventName || payload.object_kind || 'unknown'}`);
+    }
+
+    const note = payload.object_attributes || {};
+    if (note.noteable_type !== 'MergeRequest' || !payload.merge_request) {
+      return GitLabPlatform.skip('Not a merge request comment');
+    }
+    if (note.system) {
+      return GitLabPlatform.skip(`Note ${note.id} is a system note`);
+    }
+
+    const prNumber = payload.merge_request.iid;
+    const comment = GitLabPlatform.noteData({ ...note, body: note.note, author: payload.user }, note.discussion_id);
+
+    return {
+      skipped: false,
+      event: 'note',
+      action: NOTE_ACTIONS[note.action] || 'created',
+      repository: payload.project?.path_with_namespace,
+      prNumber,
+      comment: { ...comment, pr: prNumber, prAuthor: null, needsDetails: true }
+    };
+  }
+
+  static fromEnvironment(repository, env = process.env) {
+    return new GitLabPlatform(GitLabAPI.fromEnvironment(repository, env));
+  }
+
+  /**
+   * Map a REST note (or a Note Hook's object_attributes with body and author filled in) to normalized comment data
+   */
+  static noteData(note, discussionId = null) {
+    const position = note.type === 'DiffNote' ? note.position : null;
+    const line = position ? position.new_line ?? position.old_line ?? null : null;
+    // Notes on removed lines only have an old line number
+    const side = position ? (position.new_line == null ? 'LEFT' : 'RIGHT') : null;
+    const rangeStart = position?.line_range?.start;
+    const startLine = rangeStart ? (side === 'LEFT' ? rangeStart.old_line : rangeStart.new_line) ?? null : null;
+    const author = note.author || {};
+
+    return {
+      id: note.id,
+      kind: position ? 'review_comment' : 'issue_comment',
+      body: note.body || '',
+      author: author.username,
+      // Project and group access tokens act through bot users named project_<id>_bot...
+      authorType: author.bot || /^(project|group)_\d+_bot/.test(author.username || '') ? 'Bot' : 'User',
+      filePath: position ? position.new_path || position.old_path || '' : '',
+      diffHunk: '',
+      line,
+      startLine: startLine !== line ? startLine : null,
+      side,
+      commitId: position?.head_sha || null,
+      discussionId: discussionId || note.discussion_id || null,
+      inReplyToId: null,
+      needsDetails: false,
+      url: note.url || null,
+      date: note.created_at
+    };
+  }
+
+  static skip(reason) {
+    return { skipped: true, reason };
+  }
+
+  get name() {
+    return 'gitlab';
+  }
+
+  /**
+   * Look up the merge request author, and cut the diff hunk for diff notes out of the merge request diff
+   */
+  async getCommentDetails(commentData) {
+    if (!commentData.needsDetails) {
+      return commentData;
+    }
+
+    const mergeRequest = await this.api.getMergeRequest(commentData.pr);
+    const details = { ...commentData, prAuthor: mergeRequest.author?.username || null, needsDetails: false };
+
+    if (commentData.kind === 'review_comment' && !commentData.diffHunk) {
+      details.diffHunk = await this.getDiffHunk(commentData);
+    }
+    return details;
+  }
+
+  /**
+   * Get the discussion containing a note
+   * GitLab has no "suggestion applied" state on discussions, so only resolution counts
+   */
+  async getReviewThread(prNumber, commentId) {
+    const discussions = await this.api.getDiscussions(prNumber);
+    const discussion = discussions.find(d => d.notes.some(note => note.id === commentId));
+    if (!discussion) {
+      throw new Error(`Note ${commentId} not found on merge request !${prNumber}`);
+    }
+
+    const notes = discussion.notes.filter(note => !note.system);
+    const root = GitLabPlatform.noteData(notes[0], discussion.id);
+    if (root.kind === 'review_comment') {
+      root.diffHunk = await this.getDiffHunk({ ...root, pr: prNumber });
+    }
+
+    return {
+      rootId: root.id,
+      root,
+      comments: notes.map(note => ({
+        id: note.id,
+        body: note.body,
+        author: note.author?.username,
+        createdAt: note.created_at
+      })),
+      isResolved: Boolean(notes[0].resolved),
+      isOutdated: false,
+      suggestionApplied: false
+    };
+  }
+
+  getFileText(filePath, ref = null) {
+    return this.api.getFileRaw(filePath, ref || 'HEAD');
+  }
+
+  /**
+   * Assemble the merge request's file diffs into one unified diff with git headers
+   */
+  async getPRDiff(prNumber) {
+    const files = await this.getMergeRequestDiffs(prNumber);
+    return files.map(file => [
+      `diff --git a/${file.old_path} b/${file.new_path}`,
+      `--- ${file.new_file ? '/dev/null' : `a/${file.old_path}`}`,
+      `+++ ${file.deleted_file ? '/dev/null' : `b/${file.new_path}`}`,
+      file.diff.replace(/\n$/, '')
+    ].join('\n')).join('\n');
+  }
+
+  /**
+   * Teams are GitLab groups; "org/team" and nested "org/sub/team" are read as the group path
+   */
+  isTeamMember(org, team, username) {
+    return this.api.isGroupMember(`${org}/${team}`, username);
+  }
+
+  async findReply(commentData, marker) {
+    for await (const note of this.api.listNotes(commentData.pr)) {
+      if ((note.body || '').includes(marker)) {
+        return note;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Diff notes are answered in their discussion; other notes get a note on the merge request
+   */
+  createReply(commentData, body) {
+    return commentData.kind === 'review_comment' && commentData.discussionId
+      ? this.api.createDiscussionNote(commentData.pr, commentData.discussionId, body)
+      : this.api.createNote(commentData.pr, body);
+  }
+
+  updateReply(commentData, reply, body) {
+    return this.api.updateNote(commentData.pr, reply.id, body);
+  }
+
+  fileURL(repoPath, ref) {
+    return `${this.api.webURL}/${this.api.project}/-/blob/${ref}/${repoPath}`;
+  }
+
+  async getDiffHunk({ pr, filePath, line, side }) {
+    const files = await this.getMergeRequestDiffs(pr);
+    // Renamed files are matched by either name
+    const file = files.find(f => f.new_path === filePath || f.old_path === filePath);
+    return (file && extractHunk(file.diff, { line, side })) || '';
+  }
+
+  async getMergeRequestDiffs(prNumber) {
+    if (!this.diffs.has(prNumber)) {
+      this.diffs.set(prNumber, this.api.getMergeRequestDiffs(prNumber));
+    }
+    return this.diffs.get(prNumber);
+  }
+}
+
+module.exports = GitLabPlatform;
@@ -0,0 +1,239 @@
+const https = require('https');
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const MODES = ['live', 'record', 'replay'];
+const REDACTED = '[REDACTED]';
+
+// Headers that carry credentials in either direction
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'api-key', 'private-token', 'job-token', 'cookie', 'set-cookie'];
+
+// Token formats that show up in response bodies (installation tokens) and URLs
+const SECRET_PATTERNS = [
+  /\bgh[pousr]_[A-Za-z0-9]{20,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\bglpat-[A-Za-z0-9_-]{20,}\b/g,
+  /\bsk-[A-Za-z0-9_-]{20,}\b/g,
+  /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+];
+
+/**
+ * Sends HTTP requests for the GitHub, GitLab and AI clients
+ * request() resolves with { status, headers, raw } for any status and only rejects on network errors and timeouts
+ */
+class HttpTransport {
+  async request({ url, method = 'GET', headers = {}, body = null, timeout = null }) {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const requestOptions = {
+      hostname: target.hostname,
+      port: target.port || undefined,
+      path: target.pathname + target.search,
+      method,
+      headers: body === null ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) }
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(requestOptions, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          resolve({ status: res.statusCode, headers: res.headers, raw: data });
+        });
+      });
+
+      req.on('error', reject);
+
+      if (timeout) {
+        req.setTimeout(timeout, () => {
+          req.destroy(Object.assign(new Error(`Request to ${target.host} timed out after ${timeout}ms`), { code: 'ETIMEDOUT' }));
+        });
+      }
+
+      if (body !== null) {
+        req.write(body);
+      }
+
+      req.end();
+    });
+  }
+}
+
+/**
+ * Stores request/response pairs as JSON cassettes, one file per distinct request
+ * Requests are identified by method, URL and body after secrets are scrubbed, so recordings
+ * replay under different credentials; repeated requests keep their responses in order
+ */
+class CassetteStore {
+  constructor(dir, { secrets = [] } = {}) {
+    this.dir = dir;
+    // Literal secret values (tokens from the environment) are scrubbed wherever they appear
+    this.secrets = secrets.filter(secret => secret && secret.length >= 8);
+  }
+
+  key(request) {
+    const { method, url, body } = this.scrubRequest(request);
+    const hash = crypto.createHash('sha256').update(JSON.stringify([method, url, body])).digest('hex').slice(0, 12);
+    const target = new URL(url);
+    const slug = `${target.hostname}${target.pathname}`.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+    return `${method.toLowerCase()}-${slug}-${hash}`;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async read(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Invalid cassette ${this.filePath(key)}: ${error.message}`);
+    }
+  }
+
+  async write(key, cassette) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.filePath(key), `${JSON.stringify(cassette, null, 2)}\n`, 'utf-8');
+  }
+
+  scrubRequest({ method = 'GET', url, headers = {}, body = null }) {
+    const target = new URL(url);
+    for (const name of [...target.searchParams.keys()]) {
+      if (/token|key|secret|password|signature/i.test(name)) {
+        target.searchParams.set(name, REDACTED);
+      }
+    }
+    return {
+      method,
+      url: this.scrub(target.toString()),
+      headers: this.scrubHeaders(headers),
+      body: body === null ? null : this.scrub(body)
+    };
+  }
+
+  scrubResponse({ status, headers = {}, raw = '' }) {
+    return { status, headers: this.scrubHeaders(headers), body: this.scrub(raw) };
+  }
+
+  scrubHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+      [name, SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : this.scrub(String(value))]
+    ));
+  }
+
+  scrub(text) {
+    let result = text;
+    this.secrets.forEach(secret => {
+      result = result.split(secret).join(REDACTED);
+    });
+    SECRET_PATTERNS.forEach(pattern => {
+      result = result.replace(pattern, REDACTED);
+    });
+    return result;
+  }
+}
+
+/**
+ * Sends requests live and writes every exchange to a cassette
+ */
+class RecordingTransport extends HttpTransport {
+  constructor(store) {
+    super();
+    this.store = store;
+    // Cassettes recorded by this run; a cassette from an earlier run is replaced, not appended to
+    this.recorded = new Map();
+    this.writes = Promise.resolve();
+  }
+
+  async request(request) {
+    const response = await super.request(request);
+    const key = this.store.key(request);
+
+    if (!this.recorded.has(key)) {
+      this.recorded.set(key, { request: this.store.scrubRequest(request), responses: [] });
+    }
+    const cassette = this.recorded.get(key);
+    cassette.responses.push(this.store.scrubResponse(response));
+
+    this.writes = this.writes.then(() => this.store.write(key, cassette));
+    await this.writes;
+    return response;
+  }
+}
+
+/**
+ * Serves responses from cassettes and never touches the network
+ * Repeated requests get the recorded responses in order, then the last one again
+ */
+class ReplayTransport {
+  constructor(store) {
+    this.store = store;
+    this.played = new Map();
+  }
+
+  async request(request) {
+    const key = this.store.key(request);
+    const cassette = await this.store.read(key);
+    if (!cassette) {
+      const error = new Error(`No recorded response for ${request.method || 'GET'} ${this.store.scrubRequest(request).url} (expected ${this.store.filePath(key)})`);
+      error.code = 'ENOCASSETTE';
+      throw error;
+    }
+
+    const index = Math.min(this.played.get(key) || 0, cassette.responses.length - 1);
+    this.played.set(key, index + 1);
+    const { status, headers, body } = cassette.responses[index];
+    return { status, headers, raw: body };
+  }
+}
+
+/**
+ * Create a transport for a mode: live, record or replay
+ */
+function createTransport({ mode = 'live', cassetteDir = '.pr-skills-cassettes', secrets = [] } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP mode "${mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+  if (mode === 'live') {
+    return new HttpTransport();
+  }
+  const store = new CassetteStore(cassetteDir, { secrets });
+  return mode === 'record' ? new RecordingTransport(store) : new ReplayTransport(store);
+}
+
+let defaultTransport = null;
+
+/**
+ * Transport shared by every client in the process, configured by PR_SKILLS_HTTP_MODE and PR_SKILLS_CASSETTE_DIR
+ * Sharing one instance keeps the response order of repeated requests across clients
+ */
+function getDefaultTransport(env = process.env) {
+  if (!defaultTransport) {
+    defaultTransport = createTransport({
+      mode: env.PR_SKILLS_HTTP_MODE || 'live',
+      cassetteDir: env.PR_SKILLS_CASSETTE_DIR || undefined,
+      secrets: Object.entries(env)
+        .filter(([name]) => /TOKEN|API_KEY|SECRET|PASSWORD|PRIVATE_KEY/.test(name))
+        .map(([, value]) => value)
+    });
+  }
+  return defaultTransport;
+}
+
+module.exports = {
+  HttpTransport,
+  RecordingTransport,
+  ReplayTransport,
+  CassetteStore,
+  createTransport,
+  getDefaultTransport
+};
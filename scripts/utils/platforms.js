@@ -0,0 +1,21 @@
+const GitHubPlatform = require('./github-platform');
+const GitLabPlatform = require('./gitlab-platform');
+
+const PLATFORMS = {
+  github: GitHubPlatform,
+  gitlab: GitLabPlatform
+};
+
+/**
+ * Pick the review platform class from PR_SKILLS_PLATFORM, defaulting to GitLab inside GitLab CI
+ */
+function selectPlatform(env = process.env) {
+  const name = env.PR_SKILLS_PLATFORM || (env.GITLAB_CI ? 'gitlab' : 'github');
+  const Platform = PLATFORMS[name];
+  if (!Platform) {
+    throw new Error(`Unknown review platform "${name}" (expected one of: ${Object.keys(PLATFORMS).join(', ')})`);
+  }
+  return Platform;
+}
+
+module.exports = { PLATFORMS, selectPlatform };
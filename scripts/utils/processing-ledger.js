@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const LEDGER_VERSION = 1;
+
+/**
+ * Persistent record of every processed comment, committed alongside the skills
+ * Makes processing idempotent: a comment whose content has not changed since it was processed is a no-op
+ */
+class ProcessingLedger {
+  constructor(filePath, { rootDir = '.', dryRun = false, data = null } = {}) {
+    this.filePath = filePath;
+    this.rootDir = rootDir;
+    // Dry runs consult the ledger but never write it
+    this.dryRun = dryRun;
+    this.comments = data?.comments || {};
+    this.dirty = false;
+  }
+
+  /**
+   * Load a ledger file; a missing file is an empty ledger
+   */
+  static async load(filePath, options = {}) {
+    let data = null;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid processing ledger ${filePath}: ${error.message}`);
+      }
+    }
+
+    if (data && data.version !== LEDGER_VERSION) {
+      throw new Error(`Unsupported processing ledger version ${data.version} in ${filePath}`);
+    }
+
+    return new ProcessingLedger(filePath, { ...options, data });
+  }
+
+  /**
+   * Hash the parts of a comment that affect extraction
+   * Thread replies count, so a new reply in thread-aware mode is processed again
+   */
+  static hashComment(commentData) {
+    const content = JSON.stringify({
+      body: commentData.body || '',
+      filePath: commentData.filePath || '',
+      line: commentData.line ?? null,
+      thread: commentData.thread
+        ? commentData.thread.comments.map(comment => [comment.id, comment.body])
+        : null
+    });
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * What happened to a comment, or null if it was never processed
+   */
+  get(commentId) {
+    return this.comments[String(commentId)] || null;
+  }
+
+  /**
+   * Whether a comment was already processed with the same content
+   */
+  isUnchanged(commentId, hash) {
+    const entry = this.get(commentId);
+    return Boolean(entry) && entry.hash === hash;
+  }
+
+  /**
+   * Record the outcome of processing a comment
+   */
+  record(commentData, hash, result) {
+    const skills = result.paths || (result.path ? [result.path] : []);
+
+    this.comments[String(commentData.id)] = {
+      hash,
+      outcome: result.status,
+      skills: skills.map(skillPath => this.toRepoPath(skillPath)),
+      skillName: result.skillName || null,
+      reason: result.reason || null,
+      pr: commentData.pr ?? null,
+      author: commentData.author || null,
+      processedAt: new Date().toISOString()
+    };
+    this.dirty = true;
+  }
+
+  /**
+   * Comments whose content currently lives in a skill
+   */
+  commentsForSkill(skillPath) {
+    const repoPath = this.toRepoPath(skillPath);
+    return Object.entries(this.comments)
+      .filter(([, entry]) => ['created', 'merged', 'updated'].includes(entry.outcome) && entry.skills.includes(repoPath))
+      .map(([commentId, entry]) => ({ commentId, ...entry }));
+  }
+
+  /**
+   * Write the ledger if it changed
+   * Returns the file change ({ path, action, before, after }) or null
+   */
+  async save() {
+    if (!this.dirty || this.dryRun) {
+      return null;
+    }
+
+    let before = null;
+    try {
+      before = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Sorted keys keep diffs of the committed file small
+    const comments = Object.fromEntries(
+      Object.keys(this.comments).sort().map(commentId => [commentId, this.comments[commentId]])
+    );
+    const after = `${JSON.stringify({ version: LEDGER_VERSION, comments }, null, 2)}\n`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, after, 'utf-8');
+    await fs.rename(tmpPath, this.filePath);
+    this.dirty = false;
+
+    return { path: this.filePath, action: before === null ? 'create' : 'update', before, after };
+  }
+
+  /**
+   * Convert a local path to a repository path with forward slashes
+   */
+  toRepoPath(filePath) {
+    return path.relative(this.rootDir, path.resolve(filePath)).split(path.sep).join('/');
+  }
+}
+
+module.exports = ProcessingLedger;
@@ -0,0 +1,89 @@
+/**
+ * Interface between the extraction pipeline and a code review host
+ * Implementations turn the host's webhook payloads and API objects into the normalized comment data
+ * produced by EventRouter, so the pipeline, context builder, policy and notifier work on any host
+ *
+ * Static members, used before a client exists:
+ *   routeEvent(eventName, payload)        Normalize a webhook payload like EventRouter.route
+ *   fromEnvironment(repository, env)      Create a client for a repository from credentials in env
+ */
+class ReviewPlatform {
+  /**
+   * Short host name used in logs and errors (github, gitlab)
+   */
+  get name() {
+    return this.notImplemented('name');
+  }
+
+  /**
+   * Fill in details a webhook payload did not carry (diff hunk, PR author)
+   * Returns new comment data; comments without needsDetails are returned unchanged
+   */
+  async getCommentDetails(commentData) {
+    return this.notImplemented('getCommentDetails');
+  }
+
+  /**
+   * Get the review thread containing a comment
+   * Returns { rootId, root, comments, isResolved, isOutdated, suggestionApplied }; root is normalized comment data
+   */
+  async getReviewThread(prNumber, commentId) {
+    return this.notImplemented('getReviewThread');
+  }
+
+  /**
+   * Get a file's text at a commit, or at the default branch without a ref
+   */
+  async getFileText(filePath, ref = null) {
+    return this.notImplemented('getFileText');
+  }
+
+  /**
+   * Get the unified diff of a pull or merge request, with "diff --git" file headers
+   */
+  async getPRDiff(prNumber) {
+    return this.notImplemented('getPRDiff');
+  }
+
+  /**
+   * Whether a user belongs to a team ("org/team" on GitHub, a group path on GitLab)
+   * team is everything after the first slash, so it holds the subgroups of a nested GitLab group
+   */
+  async isTeamMember(org, team, username) {
+    return this.notImplemented('isTeamMember');
+  }
+
+  /**
+   * Find an earlier reply to a comment containing a marker, or null
+   */
+  async findReply(commentData, marker) {
+    return this.notImplemented('findReply');
+  }
+
+  /**
+   * Reply to a comment, in its thread where the host supports threads
+   */
+  async createReply(commentData, body) {
+    return this.notImplemented('createReply');
+  }
+
+  /**
+   * Replace the body of a reply found with findReply
+   */
+  async updateReply(commentData, reply, body) {
+    return this.notImplemented('updateReply');
+  }
+
+  /**
+   * Web URL of a repository file at a ref
+   */
+  fileURL(repoPath, ref) {
+    return this.notImplemented('fileURL');
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = ReviewPlatform;
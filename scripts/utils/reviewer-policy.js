@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const CodeOwners = require('./codeowners');
+const { SCHEMA, validateValue } = require('./config');
+
+/**
+ * Reviewer trust policy deciding whose comments may become skills
+ * Rules are checked in order; the first one that rejects a comment is reported
+ */
+class ReviewerPolicy {
+  constructor(options = {}, { platform = null, codeOwners = null } = {}) {
+    this.allowUsers = (options.allowUsers || []).map(user => user.toLowerCase());
+    // Teams are given as "org/team-slug", or as a group path such as "org/sub/team" on GitLab
+    this.allowTeams = options.allowTeams || [];
+    this.allowCodeOwners = Boolean(options.allowCodeOwners);
+    this.skipBots = options.skipBots !== false;
+    this.skipSelfComments = Boolean(options.skipSelfComments);
+    this.weights = Object.fromEntries(
+      Object.entries(options.weights || {}).map(([user, weight]) => [user.toLowerCase(), weight])
+    );
+    this.defaultWeight = options.defaultWeight ?? 1;
+
+    // Review platform client used for team membership checks
+    this.platform = platform;
+    this.codeOwners = codeOwners;
+    this.teamCache = new Map();
+  }
+
+  /**
+   * Create a policy from options, loading CODEOWNERS when code owners are allowlisted
+   */
+  static async create(options = {}, { platform = null, repoRoot = '.' } = {}) {
+    const codeOwners = options.allowCodeOwners ? await CodeOwners.load(repoRoot) : null;
+    return new ReviewerPolicy(options, { platform, codeOwners });
+  }
+
+  /**
+   * Load a policy from a JSON file
+   */
+  static async load(policyPath, dependencies = {}) {
+    let options;
+    try {
+      options = JSON.parse(await fs.readFile(policyPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid reviewer policy ${policyPath}: ${error.message}`);
+    }
+
+    const errors = validateValue(options, SCHEMA.properties.policy, 'policy');
+    if (errors.length > 0) {
+      throw new Error(`Invalid reviewer policy ${policyPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return ReviewerPolicy.create(options, dependencies);
+  }
+
+  /**
+   * Whether any allowlist is configured (otherwise every reviewer is allowed)
+   */
+  hasAllowlist() {
+    return this.allowUsers.length > 0 || this.allowTeams.length > 0 || this.allowCodeOwners;
+  }
+
+  /**
+   * Evaluate a comment against the policy
+   * Returns { allowed, rule?, reason?, weight }
+   */
+  async evaluate(commentData) {
+    const author = commentData.author || '';
+    const login = author.toLowerCase();
+    const weight = this.getWeight(author);
+
+    if (this.skipBots && this.isBot(commentData)) {
+      return this.reject('skipBots', `@${author} is a bot account`);
+    }
+
+    if (this.skipSelfComments && commentData.prAuthor && login === commentData.prAuthor.toLowerCase()) {
+      return this.reject('skipSelfComments', `@${author} commented on their own PR`);
+    }
+
+    if (this.hasAllowlist() && !(await this.isAllowlisted(commentData))) {
+      return this.reject('allowlist', `@${author} is not an allowlisted user, team member or code owner`);
+    }
+
+    if (weight <= 0) {
+      return this.reject('weights', `@${author} has a weight of ${weight}`);
+    }
+
+    return { allowed: true, weight };
+  }
+
+  /**
+   * Check the user, team and CODEOWNERS allowlists
+   */
+  async isAllowlisted(commentData) {
+    const login = commentData.author.toLowerCase();
+
+    if (this.allowUsers.includes(login)) {
+      return true;
+    }
+
+    for (const team of this.allowTeams) {
+      if (await this.isTeamMember(team, login)) {
+        return true;
+      }
+    }
+
+    if (this.allowCodeOwners && this.codeOwners && commentData.filePath) {
+      const owners = this.codeOwners.ownersFor(commentData.filePath);
+      for (const owner of owners) {
+        const name = owner.replace(/^@/, '');
+        if (name.toLowerCase() === login) {
+          return true;
+        }
+        if (name.includes('/') && await this.isTeamMember(name, login)) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check team membership, caching results for the run
+   */
+  async isTeamMember(team, login) {
+    const key = `${team}:${login}`.toLowerCase();
+    if (this.teamCache.has(key)) {
+      return this.teamCache.get(key);
+    }
+
+    let member = false;
+    if (!this.platform) {
+      console.warn(`Cannot check membership of team ${team} without a review platform client`);
+    } else {
+      // Split once: the rest is the slug on GitHub and the subgroup path on GitLab
+      const slash = team.indexOf('/');
+      try {
+        member = await this.platform.isTeamMember(team.slice(0, slash), team.slice(slash + 1), login);
+      } catch (error) {
+        console.warn(`Could not check membership of team ${team}:`, error.message);
+      }
+    }
+
+    this.teamCache.set(key, member);
+    return member;
+  }
+
+  /**
+   * Detect bot accounts from the user type or the "[bot]" login suffix
+   */
+  isBot(commentData) {
+    return commentData.authorType === 'Bot' || /\[bot\]$/i.test(commentData.author || '');
+  }
+
+  /**
+   * Get the confidence weight for a reviewer
+   */
+  getWeight(author) {
+    const weight = this.weights[(author || '').toLowerCase()];
+    return typeof weight === 'number' ? weight : this.defaultWeight;
+  }
+
+  /**
+   * Build a rejection result
+   */
+  reject(rule, reason) {
+    return { allowed: false, rule, reason, weight: 0 };
+  }
+}
+
+module.exports = ReviewerPolicy;
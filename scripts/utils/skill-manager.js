@@ -1,13 +1,18 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_CONFIG } = require('./config');
 
 /**
  * Skill manager for organizing, deduplicating, and managing skill files
  */
 class SkillManager {
-  constructor(skillsDir = '.claude/skills') {
+  constructor(skillsDir = DEFAULT_CONFIG.skillsDir, options = {}) {
     this.skillsDir = skillsDir;
-    this.similarityThreshold = 0.8;
+    this.similarityThreshold = options.similarityThreshold ?? DEFAULT_CONFIG.similarityThreshold;
+    this.domains = options.domains || DEFAULT_CONFIG.domains;
+    // In dry-run mode writes are staged in memory (path -> content, null for deleted)
+    this.dryRun = Boolean(options.dryRun);
+    this.staged = new Map();
   }
 
   /**
@@ -21,6 +26,9 @@ class SkillManager {
    * Ensure directory structure exists
    */
   async ensureDirectory(dirPath) {
+    if (this.dryRun) {
+      return;
+    }
     try {
       await fs.mkdir(dirPath, { recursive: true });
     } catch (error) {
@@ -71,6 +79,7 @@ class SkillManager {
    */
   async getAllSkills() {
     const skills = [];
+    const skillPaths = [];
     
     try {
       await this.ensureDirectory(this.skillsDir);
@@ -85,19 +94,7 @@ class SkillManager {
           const skillDirs = await this.getDirectories(categoryPath);
 
           for (const skillDir of skillDirs) {
-            const skillPath = path.join(categoryPath, skillDir, 'SKILL.md');
-            try {
-              const content = await fs.readFile(skillPath, 'utf-8');
-              const skill = this.parseSkillFile(content);
-              skill.path = skillPath;
-              skill.domain = domain;
-              skill.category = category;
-              skill.skillName = skillDir;
-              skills.push(skill);
-            } catch (error) {
-              // Skip if file doesn't exist or can't be read
-              console.warn(`Could not read skill file: ${skillPath}`, error.message);
-            }
+            skillPaths.push(path.join(categoryPath, skillDir, 'SKILL.md'));
           }
         }
       }
@@ -108,9 +105,139 @@ class SkillManager {
       }
     }
 
+    // Include skills staged by a dry run and leave out staged deletions
+    for (const [stagedPath, content] of this.staged) {
+      if (content !== null && path.basename(stagedPath) === 'SKILL.md' && !skillPaths.includes(stagedPath)) {
+        skillPaths.push(stagedPath);
+      }
+    }
+
+    for (const skillPath of skillPaths) {
+      if (this.staged.get(skillPath) === null) {
+        continue;
+      }
+      try {
+        skills.push(await this.loadSkill(skillPath));
+      } catch (error) {
+        // Skip if file doesn't exist or can't be read
+        console.warn(`Could not read skill file: ${skillPath}`, error.message);
+      }
+    }
+
     return skills;
   }
 
+  /**
+   * Load and parse a single skill from its SKILL.md path
+   */
+  async loadSkill(skillPath) {
+    const content = await this.readFile(skillPath);
+    const skillDir = path.dirname(skillPath);
+    const skill = this.parseSkillFile(content, {
+      examples: await this.readCompanion(skillDir, content, 'EXAMPLES.md'),
+      details: await this.readCompanion(skillDir, content, 'DETAILS.md')
+    });
+    const categoryDir = path.dirname(skillDir);
+
+    skill.path = skillPath;
+    skill.domain = path.basename(path.dirname(categoryDir));
+    skill.categoryFolder = path.basename(categoryDir);
+    skill.category = this.getCategoryFromFolder(skill.categoryFolder);
+    skill.skillName = path.basename(skillDir);
+    return skill;
+  }
+
+  /**
+   * Read a reference file progressive disclosure split out of a skill, or null when SKILL.md does not link it
+   */
+  async readCompanion(skillDir, content, fileName) {
+    if (!content.includes(`](${fileName})`)) {
+      return null;
+    }
+    try {
+      return await this.readFile(path.join(skillDir, fileName));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a skill file, seeing changes staged by a dry run
+   */
+  async readFile(filePath) {
+    if (this.staged.has(filePath)) {
+      const content = this.staged.get(filePath);
+      if (content === null) {
+        const error = new Error(`ENOENT: staged for deletion, '${filePath}'`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      return content;
+    }
+    return fs.readFile(filePath, 'utf-8');
+  }
+
+  /**
+   * Stage a file write (content) or deletion (null) without touching the disk
+   */
+  stage(filePath, content) {
+    this.staged.set(filePath, content);
+  }
+
+  /**
+   * Find skills that contain a contribution from the given source comment
+   */
+  async findSkillsByComment(commentId) {
+    if (commentId === undefined || commentId === null) {
+      return [];
+    }
+
+    const id = String(commentId);
+    const skills = await this.getAllSkills();
+    return skills.filter(skill =>
+      skill.contributions.some(c => this.isContributionOf(c.id, id)) ||
+      skill.sources.some(source => source.commentId === id)
+    );
+  }
+
+  /**
+   * Key for a new contribution of a comment, skipping the keys in taken
+   * The first is the comment ID alone, so skills written before comments could carry several
+   * insights keep matching; later ones are "ID#2", "ID#3", ...
+   */
+  contributionId(commentId, taken = []) {
+    if (commentId === undefined || commentId === null) {
+      return null;
+    }
+    const id = String(commentId);
+    if (!taken.includes(id)) {
+      return id;
+    }
+    let number = 2;
+    while (taken.includes(`${id}#${number}`)) {
+      number++;
+    }
+    return `${id}#${number}`;
+  }
+
+  /**
+   * Whether a contribution key belongs to a comment
+   */
+  isContributionOf(contributionId, commentId) {
+    const id = String(commentId);
+    return contributionId === id || (typeof contributionId === 'string' && contributionId.startsWith(`${id}#`));
+  }
+
+  /**
+   * Remove a skill directory and everything in it
+   */
+  async removeSkill(skillPath) {
+    await fs.rm(path.dirname(skillPath), { recursive: true, force: true });
+  }
+
   /**
    * Get subdirectories
    */
@@ -130,8 +257,9 @@ class SkillManager {
 
   /**
    * Parse skill file to extract metadata
+   * companions holds the EXAMPLES.md and DETAILS.md content of a skill split by progressive disclosure
    */
-  parseSkillFile(content) {
+  parseSkillFile(content, companions = {}) {
     const yamlMatch = content.match(/^---\n([\s\S]*?)\n---/);
     const yaml = yamlMatch ? yamlMatch[1] : '';
     
@@ -142,24 +270,146 @@ class SkillManager {
     // Extract title from markdown
     const titleMatch = content.match(/^#\s+(.+)$/m);
     
-    // Extract instructions
-    const instructionsMatch = content.match(/## Instructions\n([\s\S]*?)(?=\n## |$)/);
+    // Extract instructions (progressive disclosure skills use an Overview section instead)
+    const instructionsMatch = content.match(/## (?:Instructions|Overview)\n([\s\S]*?)(?=\n## |\n<!--\nSource Metadata|$)/);
+    const instructions = instructionsMatch ? instructionsMatch[1].trim() : '';
+
+    // Skills written before contributions were keyed keep their text as one unkeyed contribution
+    let contributions = this.parseContributions(content);
+    if (contributions.length === 0 && instructions) {
+      contributions = [{ id: null, instructions }];
+    }
+
+    const examples = this.parseExamples(companions.examples || content);
+    const details = (companions.details || '').match(/^# (Anti-Pattern|Best Practice) Details\n([\s\S]*)$/);
+    const detailed = heading => (details && details[1] === heading ? details[2].trim() : '');
     
     return {
       name: nameMatch ? nameMatch[1].trim() : '',
       description: descMatch ? descMatch[1].trim() : '',
       title: titleMatch ? titleMatch[1].trim() : '',
-      instructions: instructionsMatch ? instructionsMatch[1].trim() : '',
+      instructions: contributions.map(c => c.instructions).join('\n\n'),
+      antiPattern: this.parseSection(content, 'Anti-Pattern') || detailed('Anti-Pattern'),
+      bestPractice: this.parseSection(content, 'Best Practice') || detailed('Best Practice'),
+      badExample: examples.bad,
+      goodExample: examples.good,
+      contributions,
+      sources: this.parseSources(content),
       keywords: []
     };
   }
 
+  /**
+   * Parse contributions keyed by source comment ID
+   * Each contribution is wrapped in <!-- contribution: ID --> ... <!-- /contribution -->
+   */
+  parseContributions(content) {
+    const contributions = [];
+    const pattern = /<!-- contribution: (\S+) -->\n([\s\S]*?)\n<!-- \/contribution -->/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      contributions.push({ id: match[1], instructions: match[2].trim() });
+    }
+    return contributions;
+  }
+
+  /**
+   * Parse the text of a top-level "## Heading" section
+   */
+  parseSection(content, heading) {
+    const pattern = new RegExp(`\n## ${heading}\n([\\s\\S]*?)(?=\n## |\n<!--\nSource Metadata|$)`);
+    const match = content.match(pattern);
+    return match ? match[1].trim() : '';
+  }
+
+  /**
+   * Parse bad/good code examples from the Examples section, or from EXAMPLES.md
+   */
+  parseExamples(content) {
+    const badMatch = content.match(/^#{2,3} Bad(?: Example)?\n\n```\n([\s\S]*?)\n```/m);
+    const goodMatch = content.match(/^#{2,3} Good(?: Example)?\n\n```\n([\s\S]*?)\n```/m);
+    return {
+      bad: badMatch ? badMatch[1] : '',
+      good: goodMatch ? goodMatch[1] : ''
+    };
+  }
+
+  /**
+   * Parse source attribution from the metadata comment
+   */
+  parseSources(content) {
+    const metadataMatch = content.match(/<!--\nSource Metadata[^\n]*:\n([\s\S]*?)-->/);
+    if (!metadataMatch) {
+      return [];
+    }
+
+    const sources = [];
+    const primary = {};
+    const lines = metadataMatch[1].split('\n');
+
+    for (const line of lines) {
+      const field = line.match(/^(PR|Author|Date|File|Comment):\s*(.+)$/);
+      if (field) {
+        const value = field[2].trim();
+        if (field[1] === 'PR') primary.pr = parseInt(value.replace('#', ''), 10);
+        if (field[1] === 'Author') primary.author = value.replace(/^@/, '');
+        if (field[1] === 'Date') primary.date = value;
+        if (field[1] === 'File') primary.file = value;
+        if (field[1] === 'Comment') primary.commentId = value;
+        continue;
+      }
+
+      const prSource = line.match(/^\s+- PR #(\d+) by @(\S+)(?: \(comment (\S+)\))?/);
+      const commentSource = line.match(/^\s+- Comment (\S+) by @(\S+)/);
+      if (prSource) {
+        sources.push({ pr: parseInt(prSource[1], 10), author: prSource[2], commentId: prSource[3] });
+      } else if (commentSource) {
+        sources.push({ author: commentSource[2], commentId: commentSource[1] });
+      }
+    }
+
+    if (Object.keys(primary).length > 0) {
+      sources.unshift(primary);
+    }
+    return sources;
+  }
+
   /**
    * Merge two skills
+   * A contribution from a comment that is already part of the skill replaces it in place
    */
   mergeSkills(existingSkill, newSkill) {
-    // Combine instructions
-    const mergedInstructions = `${existingSkill.instructions}\n\n---\n\n${newSkill.instructions}`;
+    const commentId = newSkill.source?.commentId != null ? String(newSkill.source.commentId) : null;
+    const contributionId = newSkill.contributionId || commentId;
+    const newSource = {
+      pr: newSkill.source?.pr,
+      author: newSkill.source?.author,
+      date: newSkill.source?.date,
+      file: newSkill.source?.file,
+      commentId
+    };
+
+    // Combine instructions, keyed by source comment
+    const contributions = [...(existingSkill.contributions || [])];
+    if (contributions.length === 0 && existingSkill.instructions) {
+      contributions.push({ id: null, instructions: existingSkill.instructions });
+    }
+    const contributionIndex = contributionId ? contributions.findIndex(c => c.id === contributionId) : -1;
+    const contribution = { id: contributionId, instructions: newSkill.instructions || '' };
+    if (contributionIndex === -1) {
+      contributions.push(contribution);
+    } else {
+      contributions[contributionIndex] = contribution;
+    }
+
+    // Add or replace source information
+    const sources = [...(existingSkill.sources || [])];
+    const sourceIndex = commentId ? sources.findIndex(s => s.commentId === commentId) : -1;
+    if (sourceIndex === -1) {
+      sources.push(newSource);
+    } else {
+      sources[sourceIndex] = newSource;
+    }
     
     // Combine keywords
     const mergedKeywords = [
@@ -170,21 +420,71 @@ class SkillManager {
     // Use the more recent description if available
     const mergedDescription = newSkill.description || existingSkill.description;
 
-    return {
+    const merged = {
       ...existingSkill,
       description: mergedDescription,
-      instructions: mergedInstructions,
+      instructions: contributions.map(c => c.instructions).join('\n\n'),
+      contributions,
       keywords: mergedKeywords,
-      // Add source information
-      sources: [
-        ...(existingSkill.sources || []),
-        {
-          pr: newSkill.source?.pr,
-          author: newSkill.source?.author,
-          date: newSkill.source?.date,
-          file: newSkill.source?.file
-        }
-      ]
+      sources
+    };
+
+    // Sections and examples belong to the comment that created the skill, and to its first insight there
+    const firstOfComment = contributions.find(c => commentId && this.isContributionOf(c.id, commentId));
+    if (commentId && sources[0]?.commentId === commentId && firstOfComment?.id === contributionId) {
+      Object.assign(merged, this.pickSections(newSkill));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Remove the contributions of a source comment from a skill
+   * options.keep lists contribution keys of the comment to leave in place; the comment stays a source while any remain
+   * Returns null when nothing is left, meaning the skill itself should be removed
+   */
+  removeContribution(skill, commentId, { keep = [] } = {}) {
+    const id = String(commentId);
+    const contributions = (skill.contributions || [])
+      .filter(c => !this.isContributionOf(c.id, id) || keep.includes(c.id));
+    const stillContributes = contributions.some(c => this.isContributionOf(c.id, id));
+    const sources = stillContributes
+      ? skill.sources || []
+      : (skill.sources || []).filter(source => source.commentId !== id);
+
+    if (contributions.length === 0) {
+      return null;
+    }
+
+    const updated = {
+      ...skill,
+      instructions: contributions.map(c => c.instructions).join('\n\n'),
+      contributions,
+      sources
+    };
+
+    // Sections and examples came from the deleted comment if it created the skill
+    if (!stillContributes && skill.sources?.[0]?.commentId === id) {
+      Object.assign(updated, {
+        antiPattern: '',
+        bestPractice: '',
+        badExample: '',
+        goodExample: ''
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Pick the category sections and examples of a skill
+   */
+  pickSections(skill) {
+    return {
+      antiPattern: skill.antiPattern || '',
+      bestPractice: skill.bestPractice || '',
+      badExample: skill.badExample || '',
+      goodExample: skill.goodExample || ''
     };
   }
 
@@ -257,22 +557,27 @@ class SkillManager {
     const lowerPath = filePath.toLowerCase();
     const lowerContent = content.toLowerCase();
 
-    // Check for OHIF indicators
-    if (lowerPath.includes('ohif') || 
-        lowerPath.includes('viewer') ||
-        lowerContent.includes('ohif') ||
-        lowerContent.includes('viewerport')) {
-      return 'ohif';
+    // First configured domain whose path or content indicators match wins
+    for (const domain of this.domains) {
+      const pathMatch = (domain.paths || []).some(p => lowerPath.includes(p.toLowerCase()));
+      const contentMatch = (domain.keywords || []).some(k => lowerContent.includes(k.toLowerCase()));
+      if (pathMatch || contentMatch) {
+        return domain.name;
+      }
     }
 
-    // Check for Cornerstone3D indicators
-    if (lowerPath.includes('cornerstone') ||
-        lowerPath.includes('cs3d') ||
-        lowerContent.includes('cornerstone') ||
-        lowerContent.includes('renderingengine')) {
-      return 'cornerstone3d';
-    }
+    return 'general';
+  }
 
+  /**
+   * Determine category from folder name
+   */
+  getCategoryFromFolder(folder) {
+    if (folder === 'anti-patterns') {
+      return 'anti-pattern';
+    } else if (folder === 'best-practices') {
+      return 'best-practice';
+    }
     return 'general';
   }
 
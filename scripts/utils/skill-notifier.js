@@ -0,0 +1,148 @@
+const path = require('path');
+
+const REPLY_MARKER = 'pr-skills-extractor:reply';
+
+// Outcomes that put a comment's content in a skill
+const WRITTEN = ['created', 'merged', 'updated'];
+
+const VERBS = {
+  created: 'became a new skill',
+  merged: 'was merged into an existing skill',
+  updated: 'updated its contribution to a skill'
+};
+
+/**
+ * Tells reviewers what their comment became by replying on the source PR
+ * Each source comment gets one reply, found again by a hidden marker and updated in place
+ */
+class SkillNotifier {
+  constructor(platform, { rootDir = '.', ref = 'HEAD' } = {}) {
+    // Review platform the replies are posted on (see review-platform.js)
+    this.platform = platform;
+    this.rootDir = rootDir;
+    // Branch or ref that skill links point at (HEAD resolves to the default branch)
+    this.ref = ref;
+  }
+
+  /**
+   * Whether a comment body is one of our own replies
+   */
+  static isNotification(body) {
+    return typeof body === 'string' && body.includes(`<!-- ${REPLY_MARKER}:`);
+  }
+
+  /**
+   * Post or update the reply for a processed comment
+   * Retractions and skips only update an existing reply; they never post a new one
+   * options.pullRequest is the skills PR the change was proposed in, if any
+   */
+  async notify(commentData, result, { pullRequest = null } = {}) {
+    const existing = await this.findReply(commentData);
+
+    let body;
+    if (WRITTEN.includes(result.status)) {
+      body = this.buildSkillReply(commentData, result, pullRequest);
+    } else if (existing) {
+      body = this.buildWithdrawnReply(commentData, result);
+    } else {
+      return null;
+    }
+
+    if (existing) {
+      if (existing.body === body) {
+        return existing;
+      }
+      console.log(`Updating reply ${existing.id} on comment ${commentData.id}`);
+      return this.platform.updateReply(commentData, existing, body);
+    }
+
+    console.log(`Replying to comment ${commentData.id} on PR #${commentData.pr}`);
+    return this.platform.createReply(commentData, body);
+  }
+
+  /**
+   * Find an earlier reply to a comment by its marker
+   */
+  findReply(commentData) {
+    return this.platform.findReply(commentData, this.marker(commentData.id));
+  }
+
+  /**
+   * Build the reply for a comment that created or changed a skill
+   * A comment with several insights lists each skill it became
+   */
+  buildSkillReply(commentData, result, pullRequest) {
+    const written = (result.insights || [result]).filter(insight => WRITTEN.includes(insight.status));
+
+    const lines = [this.marker(commentData.id)];
+    if (written.length === 1) {
+      lines.push(
+        `${this.quoteSource(commentData)} ${VERBS[written[0].status]}: **${written[0].skillName}** (${written[0].category})`,
+        '',
+        `Skill file: ${this.linkSkill(written[0].path)}`
+      );
+    } else {
+      lines.push(`${this.quoteSource(commentData)} raised ${written.length} separate points:`, '');
+      written.forEach(insight => {
+        lines.push(`- **${insight.skillName}** (${insight.category}) ${VERBS[insight.status]}: ${this.linkSkill(insight.path)}`);
+      });
+    }
+
+    if (pullRequest) {
+      // A line right after the list would continue its last item
+      if (written.length > 1) lines.push('');
+      lines.push(`Proposed in #${pullRequest.number}; it takes effect once that PR is merged.`);
+    }
+
+    written.filter(insight => insight.instructions).forEach(insight => {
+      lines.push(
+        '',
+        '<details>',
+        `<summary>Extracted instructions${written.length > 1 ? `: ${insight.skillName}` : ''}</summary>`,
+        '',
+        insight.instructions.trim(),
+        '',
+        '</details>'
+      );
+    });
+
+    lines.push('', '_If this is not what you meant, edit your comment and the skill will be updated. Deleting the comment removes its contribution._');
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the reply for a comment whose contribution was withdrawn
+   */
+  buildWithdrawnReply(commentData, result) {
+    const detail = result.reason ? ` (${result.reason})` : '';
+    return [
+      this.marker(commentData.id),
+      `${this.quoteSource(commentData)} no longer contributes to any skill${detail}.`
+    ].join('\n');
+  }
+
+  /**
+   * Refer to the source comment; a link is needed when the reply is not in the same thread
+   */
+  quoteSource(commentData) {
+    if (commentData.kind === 'review_comment' || !commentData.url) {
+      return 'This comment';
+    }
+    return `[This comment](${commentData.url}) by @${commentData.author}`;
+  }
+
+  /**
+   * Link a skill file in the repository
+   */
+  linkSkill(skillPath) {
+    const repoPath = path.relative(this.rootDir, path.resolve(skillPath)).split(path.sep).join('/');
+    const url = this.platform.fileURL(repoPath, this.ref);
+    return `[\`${repoPath}\`](${url})`;
+  }
+
+  marker(commentId) {
+    return `<!-- ${REPLY_MARKER}:${commentId} -->`;
+  }
+}
+
+module.exports = SkillNotifier;
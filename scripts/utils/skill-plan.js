@@ -0,0 +1,80 @@
+const { createUnifiedDiff } = require('./unified-diff');
+
+/**
+ * Turn a pipeline result into a plan of skill changes for dry runs
+ * Plans are plain objects so they can be printed or emitted as JSON for tooling
+ */
+function buildPlan(result, { id = null } = {}) {
+  const changes = result.changes || [];
+
+  return {
+    id,
+    status: result.status,
+    reason: result.reason || null,
+    path: result.path || (result.paths ? result.paths[0] : null),
+    skillName: result.skillName || null,
+    category: result.category || null,
+    insights: (result.insights || []).map(insight => ({
+      status: insight.status,
+      skillName: insight.skillName || null,
+      category: insight.category || null,
+      path: insight.path || null,
+      reason: insight.reason || null
+    })),
+    matchScore: typeof result.matchScore === 'number' ? Number(result.matchScore.toFixed(3)) : null,
+    validation: result.validation
+      ? { valid: result.validation.valid, summary: result.validation.summary, issues: result.validation.issues }
+      : null,
+    files: changes.map(change => ({
+      path: change.path,
+      action: change.action,
+      diff: createUnifiedDiff(change.before, change.after, {
+        fromFile: `a/${change.path}`,
+        toFile: `b/${change.path}`
+      })
+    }))
+  };
+}
+
+/**
+ * Render a plan as human-readable text
+ */
+function formatPlan(plan) {
+  const label = plan.id != null ? `Comment ${plan.id}` : 'Comment';
+  const lines = [];
+
+  if (plan.files.length === 0) {
+    lines.push(`${label}: ${plan.status}${plan.reason ? ` (${plan.reason})` : ''}, no skill changes`);
+    return lines.join('\n');
+  }
+
+  lines.push(`${label}: would be ${plan.status} -> ${plan.path}`);
+  if (plan.insights.length > 1) {
+    plan.insights.forEach(insight => {
+      const target = insight.path ? ` -> ${insight.path}` : ` (${insight.reason})`;
+      lines.push(`  Insight: ${insight.skillName || 'unnamed'} (${insight.category}) ${insight.status}${target}`);
+    });
+  } else if (plan.skillName) {
+    lines.push(`  Skill: ${plan.skillName} (${plan.category})`);
+  }
+  if (plan.matchScore !== null) {
+    lines.push(`  Match score: ${plan.matchScore}`);
+  }
+  if (plan.reason) {
+    lines.push(`  Reason: ${plan.reason}`);
+  }
+  if (plan.validation) {
+    lines.push(`  Validation: ${plan.validation.valid ? '✓' : '❌'} ${plan.validation.summary}`);
+    plan.validation.issues.forEach(issue => {
+      lines.push(`    [${issue.severity}] ${issue.code}: ${issue.message}`);
+    });
+  }
+
+  plan.files.forEach(file => {
+    lines.push('', `  ${file.action} ${file.path}`, '', file.diff.trimEnd());
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = { buildPlan, formatPlan };
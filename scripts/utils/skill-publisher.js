@@ -0,0 +1,300 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ENTRIES_MARKER = '<!-- pr-skills-extractor:entries -->';
+const ENTRY_PATTERN = /<!-- pr-skills-extractor:entry:(\S+) -->/;
+
+/**
+ * Publishes skill changes as a single rolling pull request instead of committing to the default branch
+ * Commits go through the git data API, so the workflow never needs push access to a protected branch
+ */
+class SkillPublisher {
+  constructor(githubAPI, { rootDir = '.', skillsDir, ledgerFile = null, publish = {} } = {}) {
+    this.githubAPI = githubAPI;
+    this.rootDir = rootDir;
+    this.skillsDir = skillsDir;
+    this.ledgerFile = ledgerFile;
+    this.branch = publish.branch || 'pr-skills/update';
+    this.baseBranch = publish.baseBranch || null;
+    this.title = publish.title || 'Update skills from code review';
+  }
+
+  /**
+   * Bring the skill files of an open skills PR into the working tree
+   * Skills are then merged against what the PR already proposes, not against the base branch
+   * Returns false when there is no open skills PR
+   */
+  async sync() {
+    const pr = await this.githubAPI.findOpenPR(this.branch);
+    if (!pr) {
+      return false;
+    }
+
+    const ref = await this.githubAPI.getBranchRef(this.branch);
+    if (!ref) {
+      return false;
+    }
+    const commit = await this.githubAPI.getGitCommit(ref.object.sha);
+    const tree = await this.githubAPI.getTree(commit.tree.sha, { recursive: true });
+    if (tree.truncated) {
+      console.warn(`Tree of ${this.branch} is truncated, some skills may not be synced`);
+    }
+
+    const prefix = `${this.toRepoPath(this.skillsDir)}/`;
+    const ledgerPath = this.ledgerFile ? this.toRepoPath(this.ledgerFile) : null;
+    const remoteFiles = new Map(
+      tree.tree
+        .filter(entry => entry.type === 'blob' && (entry.path.startsWith(prefix) || entry.path === ledgerPath))
+        .map(entry => [entry.path, entry.sha])
+    );
+
+    let synced = 0;
+    for (const [repoPath, sha] of remoteFiles) {
+      const localPath = path.join(this.rootDir, repoPath);
+      const local = await readIfExists(localPath);
+      if (local !== null && gitBlobSha(local) === sha) continue;
+
+      await fs.mkdir(path.dirname(localPath), { recursive: true });
+      await fs.writeFile(localPath, await this.githubAPI.getBlobContent(sha), 'utf-8');
+      synced++;
+    }
+
+    // Skills deleted on the branch are deleted locally too
+    for (const localPath of await listFiles(path.join(this.rootDir, prefix))) {
+      if (!remoteFiles.has(this.toRepoPath(localPath))) {
+        await fs.rm(localPath, { force: true });
+        synced++;
+      }
+    }
+
+    console.log(`Synced ${synced} skill file(s) from open skills PR #${pr.number}`);
+    return true;
+  }
+
+  /**
+   * Commit file changes to the skills branch and open or update the skills PR
+   * entry describes the comment behind the changes for the PR body
+   * Returns the pull request, or null when there was nothing to publish
+   */
+  async publish(changes, entry) {
+    if (!changes || changes.length === 0) {
+      return null;
+    }
+
+    const [pr, ref] = await Promise.all([
+      this.githubAPI.findOpenPR(this.branch),
+      this.githubAPI.getBranchRef(this.branch)
+    ]);
+    const baseBranch = pr ? pr.base.ref : await this.getBaseBranch();
+
+    // Without an open PR the branch is stale (merged or closed), so start again from the base branch
+    const parentSha = pr && ref
+      ? ref.object.sha
+      : (await this.githubAPI.getBranchRef(baseBranch)).object.sha;
+    const parent = await this.githubAPI.getGitCommit(parentSha);
+
+    const entries = await this.buildTreeEntries(changes, parent.tree.sha);
+    if (entries.length === 0) {
+      console.log('Skill changes cancel out, nothing to publish');
+      return null;
+    }
+
+    const tree = await this.githubAPI.createTree(parent.tree.sha, entries);
+    const commit = await this.githubAPI.createCommit(this.buildCommitMessage(entry), tree.sha, [parentSha]);
+
+    if (ref) {
+      await this.githubAPI.updateBranchRef(this.branch, commit.sha, { force: !pr });
+    } else {
+      await this.githubAPI.createBranchRef(this.branch, commit.sha);
+    }
+    console.log(`Committed ${entries.length} skill file change(s) to ${this.branch}`);
+
+    if (pr) {
+      const updated = await this.githubAPI.updatePR(pr.number, { body: this.buildBody(pr.body, entry) });
+      console.log(`Updated skills PR #${pr.number}`);
+      return updated;
+    }
+
+    const created = await this.githubAPI.createPR({
+      title: this.title,
+      body: this.buildBody('', entry),
+      head: this.branch,
+      base: baseBranch
+    });
+    console.log(`Opened skills PR #${created.number}`);
+    return created;
+  }
+
+  /**
+   * Turn file changes into tree entries, one per path with the content of its last change
+   * A file created and deleted again within the changes is not in the parent tree, so its delete is dropped
+   */
+  async buildTreeEntries(changes, parentTreeSha) {
+    const latest = new Map();
+    changes.forEach(change => {
+      const repoPath = this.toRepoPath(change.path);
+      latest.delete(repoPath);
+      latest.set(repoPath, change);
+    });
+
+    const deleted = [...latest.keys()].filter(repoPath => latest.get(repoPath).action === 'delete');
+    const existing = deleted.length > 0 ? await this.existingPaths(parentTreeSha, deleted) : new Set();
+
+    return [...latest]
+      .filter(([repoPath, change]) => change.action !== 'delete' || existing.has(repoPath))
+      .map(([repoPath, change]) => ({
+        path: repoPath,
+        mode: '100644',
+        type: 'blob',
+        ...(change.action === 'delete' ? { sha: null } : { content: change.after })
+      }));
+  }
+
+  /**
+   * Which of the given paths are files in a tree
+   * When the recursive listing is truncated, each path is looked up one directory level at a time
+   */
+  async existingPaths(treeSha, repoPaths) {
+    const tree = await this.githubAPI.getTree(treeSha, { recursive: true });
+    if (!tree.truncated) {
+      const files = new Set(tree.tree.filter(entry => entry.type === 'blob').map(entry => entry.path));
+      return new Set(repoPaths.filter(repoPath => files.has(repoPath)));
+    }
+
+    const existing = new Set();
+    for (const repoPath of repoPaths) {
+      const parts = repoPath.split('/');
+      let sha = treeSha;
+      for (const [index, part] of parts.entries()) {
+        const entry = (await this.githubAPI.getTree(sha)).tree.find(candidate => candidate.path === part);
+        const type = index === parts.length - 1 ? 'blob' : 'tree';
+        sha = entry && entry.type === type ? entry.sha : null;
+        if (!sha) break;
+      }
+      if (sha) {
+        existing.add(repoPath);
+      }
+    }
+    return existing;
+  }
+
+  /**
+   * Get the branch the skills PR targets
+   */
+  async getBaseBranch() {
+    if (!this.baseBranch) {
+      this.baseBranch = (await this.githubAPI.getRepository()).default_branch;
+    }
+    return this.baseBranch;
+  }
+
+  /**
+   * Build the PR body, keeping one line per source comment
+   * A comment that is processed again replaces its earlier line
+   */
+  buildBody(previousBody, entry) {
+    const lines = new Map();
+    (previousBody || '').split('\n').forEach(line => {
+      const match = line.match(ENTRY_PATTERN);
+      if (match) {
+        lines.set(match[1], line);
+      }
+    });
+
+    if (entry) {
+      lines.set(String(entry.commentId), this.formatEntry(entry));
+    }
+
+    return [
+      'Skills extracted from code review comments. Review them before merging: nothing reaches the base branch, and so no coding assistant sees them, until this PR is merged.',
+      '',
+      'Later review comments are added to this PR while it is open.',
+      '',
+      ENTRIES_MARKER,
+      ...lines.values()
+    ].join('\n');
+  }
+
+  /**
+   * Format a PR body line for one source comment
+   */
+  formatEntry(entry) {
+    const skill = entry.skillName ? `\`${entry.skillName}\`` : 'skill';
+    const category = entry.category ? ` (${entry.category})` : '';
+    const file = entry.path ? ` in \`${this.toRepoPath(entry.path)}\`` : '';
+    const comment = entry.url ? `[review comment](${entry.url})` : `review comment ${entry.commentId}`;
+    const author = entry.author ? ` by @${entry.author}` : '';
+    const pr = entry.pr ? ` on #${entry.pr}` : '';
+
+    return `- **${entry.status}** ${skill}${category}${file} from ${comment}${author}${pr} <!-- pr-skills-extractor:entry:${entry.commentId} -->`;
+  }
+
+  /**
+   * Build the commit message for one processed comment
+   */
+  buildCommitMessage(entry) {
+    if (!entry) {
+      return 'Update skills from code review';
+    }
+    const subject = entry.skillName
+      ? `${capitalize(entry.status)} skill ${entry.skillName}`
+      : `${capitalize(entry.status)} skill contributions`;
+    return `${subject}\n\nFrom review comment ${entry.commentId}${entry.pr ? ` on #${entry.pr}` : ''}`;
+  }
+
+  /**
+   * Convert a local path to a repository path with forward slashes
+   */
+  toRepoPath(filePath) {
+    return path.relative(this.rootDir, path.resolve(filePath)).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Compute the git blob SHA of file content, to skip downloading unchanged files
+ */
+function gitBlobSha(content) {
+  const buffer = Buffer.from(content, 'utf-8');
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function listFiles(dirPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = SkillPublisher;
@@ -6,9 +6,9 @@ const path = require('path');
  * Validates skills against Claude Skill authoring best practices
  */
 class SkillValidator {
-  constructor() {
+  constructor(options = {}) {
     // Best practice limits
-    this.maxSkillLines = 500;
+    this.maxSkillLines = options.maxSkillLines ?? 500;
     this.maxNameLength = 64;
     this.maxDescriptionLength = 1024;
     this.reservedWords = ['anthropic', 'claude'];
@@ -18,27 +18,41 @@ class SkillValidator {
    * Validate a skill and return issues with fix suggestions
    */
   async validateSkill(skillPath) {
-    const issues = [];
-    
+    let content;
     try {
-      const content = await fs.readFile(skillPath, 'utf-8');
-      const parsed = this.parseSkillContent(content);
-      
-      // Run all validations
-      issues.push(...this.validateFrontmatter(parsed.frontmatter, parsed.name, parsed.description));
-      issues.push(...this.validateContent(content, parsed));
-      issues.push(...this.validateStructure(parsed));
-      issues.push(...this.validateConciseness(content, parsed));
-      
+      content = await fs.readFile(skillPath, 'utf-8');
     } catch (error) {
-      issues.push({
+      return this.buildResult([{
         severity: 'error',
         code: 'FILE_ERROR',
         message: `Cannot read skill file: ${error.message}`,
         fix: 'Ensure the skill file exists and is readable'
-      });
+      }]);
     }
 
+    return this.validateSkillContent(content);
+  }
+
+  /**
+   * Validate skill content that has not been written to disk (dry runs)
+   */
+  validateSkillContent(content) {
+    const parsed = this.parseSkillContent(content);
+    const issues = [];
+
+    // Run all validations
+    issues.push(...this.validateFrontmatter(parsed.frontmatter, parsed.name, parsed.description));
+    issues.push(...this.validateContent(content, parsed));
+    issues.push(...this.validateStructure(parsed));
+    issues.push(...this.validateConciseness(content, parsed));
+
+    return this.buildResult(issues);
+  }
+
+  /**
+   * Build a validation result from a list of issues
+   */
+  buildResult(issues) {
     return {
       valid: issues.filter(i => i.severity === 'error').length === 0,
       issues,
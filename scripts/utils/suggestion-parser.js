@@ -0,0 +1,83 @@
+/**
+ * Parse GitHub ```suggestion blocks out of review comments
+ * A suggestion is an exact replacement for the commented lines, so it gives a bad/good example pair
+ * without asking the model
+ */
+
+const SUGGESTION_PATTERN = /(`{3,})suggestion[^\n]*\n([\s\S]*?)\n?\1[ \t]*(?:\n|$)/g;
+
+/**
+ * Split a comment body into its prose and suggestion blocks
+ */
+function splitSuggestions(body) {
+  const suggestions = [];
+  const prose = (body || '').replace(SUGGESTION_PATTERN, (match, fence, code) => {
+    suggestions.push(code);
+    return '\n';
+  });
+
+  return {
+    prose: prose.replace(/\n{3,}/g, '\n\n').trim(),
+    suggestions
+  };
+}
+
+/**
+ * Get the lines a review comment is attached to from its diff hunk
+ * side is the diff side the comment is on: RIGHT (default) numbers lines in the new file, LEFT in the old one
+ * GitHub hunks end at the commented line, so without line numbers the last line of that side is used
+ */
+function extractCommentedLines(diffHunk, { line = null, startLine = null, side = 'RIGHT' } = {}) {
+  if (!diffHunk) {
+    return null;
+  }
+
+  const hunkLines = diffHunk.split('\n');
+  const header = hunkLines[0].match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+  if (!header) {
+    return null;
+  }
+
+  // Each side skips the lines only the other side has
+  const left = side === 'LEFT';
+  const skipped = left ? '+' : '-';
+  const sideLines = [];
+  let number = parseInt(left ? header[1] : header[2], 10);
+  hunkLines.slice(1).forEach(hunkLine => {
+    if (hunkLine.startsWith(skipped) || hunkLine.startsWith('\\')) {
+      return;
+    }
+    sideLines.push({ number: number++, text: hunkLine.slice(1) });
+  });
+
+  if (sideLines.length === 0) {
+    return null;
+  }
+
+  if (!line) {
+    return sideLines[sideLines.length - 1].text;
+  }
+
+  const first = startLine || line;
+  const selected = sideLines.filter(entry => entry.number >= first && entry.number <= line);
+  return selected.length > 0 ? selected.map(entry => entry.text).join('\n') : null;
+}
+
+/**
+ * Extract examples from a comment's first suggestion block
+ * Returns { prose, badExample, goodExample }, or null when the comment has no suggestion
+ */
+function parseSuggestion(body, diffHunk, range = {}) {
+  const { prose, suggestions } = splitSuggestions(body);
+  if (suggestions.length === 0) {
+    return null;
+  }
+
+  return {
+    prose,
+    badExample: extractCommentedLines(diffHunk, range) || '',
+    goodExample: suggestions[0]
+  };
+}
+
+module.exports = { parseSuggestion, splitSuggestions, extractCommentedLines };
@@ -0,0 +1,143 @@
+/**
+ * Create a unified diff between two texts
+ * Uses a line-based LCS, which is fine for skill-sized files
+ * Pass null as oldText for a new file and null as newText for a deleted file
+ */
+function createUnifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const ops = diffLines(oldLines, newLines);
+
+  if (ops.every(op => op.type === 'equal')) {
+    return '';
+  }
+
+  const header = [
+    `--- ${oldText === null ? '/dev/null' : fromFile}`,
+    `+++ ${newText === null ? '/dev/null' : toFile}`
+  ];
+
+  return [...header, ...buildHunks(ops, context)].join('\n') + '\n';
+}
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute equal/delete/insert operations with line numbers on both sides
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ type: 'equal', line: a[i], oldIndex: i++, newIndex: j++ });
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'delete', line: a[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: 'insert', line: b[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Group operations into hunks with surrounding context lines
+ */
+function buildHunks(ops, context) {
+  const lines = [];
+  let index = 0;
+
+  while (index < ops.length) {
+    // Find the next change
+    while (index < ops.length && ops[index].type === 'equal') index++;
+    if (index >= ops.length) break;
+
+    const start = Math.max(0, index - context);
+    let end = index;
+    // Extend the hunk while changes are within 2 * context lines of each other
+    while (end < ops.length) {
+      if (ops[end].type !== 'equal') {
+        end++;
+        continue;
+      }
+      let nextChange = end;
+      while (nextChange < ops.length && ops[nextChange].type === 'equal') nextChange++;
+      if (nextChange < ops.length && nextChange - end <= context * 2) {
+        end = nextChange;
+      } else {
+        end = Math.min(ops.length, end + context);
+        break;
+      }
+    }
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== 'insert').length;
+    const newCount = hunk.filter(op => op.type !== 'delete').length;
+    const oldStart = oldCount === 0 ? hunk[0].oldIndex : hunk[0].oldIndex + 1;
+    const newStart = newCount === 0 ? hunk[0].newIndex : hunk[0].newIndex + 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => {
+      const prefix = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+      lines.push(`${prefix}${op.line}`);
+    });
+
+    index = end;
+  }
+
+  return lines;
+}
+
+/**
+ * Cut the hunk containing a line out of a file's unified diff, ending at that line
+ * Matches the diff_hunk GitHub attaches to review comments; side LEFT looks the line up in the old file
+ */
+function extractHunk(diff, { line, side = 'RIGHT' }) {
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const text of (diff || '').split('\n')) {
+    const header = text.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      hunk = [text];
+      oldLine = parseInt(header[1], 10);
+      newLine = parseInt(header[2], 10);
+      continue;
+    }
+    if (!hunk || text.startsWith('\\')) continue;
+
+    hunk.push(text);
+    const removed = text.startsWith('-');
+    const added = text.startsWith('+');
+    if (side === 'LEFT' ? !added && oldLine === line : !removed && newLine === line) {
+      return hunk.join('\n');
+    }
+    if (!added) oldLine++;
+    if (!removed) newLine++;
+  }
+  return null;
+}
+
+module.exports = { createUnifiedDiff, extractHunk };
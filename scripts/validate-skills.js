@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 const SkillValidator = require('./utils/skill-validator');
+const { loadConfig } = require('./utils/config');
 
 /**
  * CLI script to validate skills against best practices
@@ -11,7 +12,8 @@ const SkillValidator = require('./utils/skill-validator');
  */
 async function main() {
   const args = process.argv.slice(2);
-  const validator = new SkillValidator();
+  const config = loadConfig();
+  const validator = new SkillValidator({ maxSkillLines: config.maxSkillLines });
   
   console.log('╔════════════════════════════════════════════╗');
   console.log('║     Skill Validator - Best Practices       ║');
@@ -28,7 +30,7 @@ async function main() {
     process.exit(result.valid ? 0 : 1);
   } else {
     // Validate all skills
-    const skillsDir = '.claude/skills';
+    const skillsDir = config.skillsDir;
     console.log(`Validating all skills in: ${skillsDir}\n`);
     
     const results = await validator.validateAllSkills(skillsDir);
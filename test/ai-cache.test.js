@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const AIResponseCache = require('../scripts/utils/ai-cache');
+const { makeTempDir, insight, scriptedTransport, createProcessor } = require('./helpers');
+
+const COMMENT = {
+  body: 'Do not block the event loop with synchronous file reads in request handlers.',
+  filePath: 'src/server.js',
+  diffHunk: '',
+  author: 'reviewer'
+};
+
+const BLOCKING = insight('avoiding-sync-io', 'anti-pattern', 'Use fs.promises in request handlers.');
+
+async function createCachedProcessor(t, replies, mode = 'read-write') {
+  const dir = path.join(await makeTempDir(t), 'cache');
+  const transport = scriptedTransport(replies);
+  const processor = createProcessor(transport, { cache: { mode, dir, ttlHours: 0, maxSizeMB: 1 } });
+  return { processor, transport, dir };
+}
+
+test('a repaired answer is cached under the original prompt and the invalid one is not', async (t) => {
+  const { processor, transport } = await createCachedProcessor(t, [
+    { insights: [{ ...BLOCKING, skillName: 'sync-io-helper' }] },
+    { insights: [BLOCKING] }
+  ]);
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await processor.processComment(COMMENT);
+    const { insights } = await processor.processComment(COMMENT);
+
+    assert.strictEqual(transport.requests.length, 2);
+    assert.strictEqual(insights[0].skillName, 'avoiding-sync-io');
+    assert.strictEqual((await processor.cache.listEntries()).length, 1);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a cached answer that no longer validates is removed and asked for again', async (t) => {
+  const { processor, transport } = await createCachedProcessor(t, [{ insights: [BLOCKING] }, { insights: [BLOCKING] }]);
+  await processor.processComment(COMMENT);
+  const [entry] = await processor.cache.listEntries();
+  const key = path.basename(entry.path, '.json');
+  // An answer stored before the gerund rule got stricter
+  await processor.cache.set(key, JSON.stringify({ insights: [{ ...BLOCKING, skillName: 'thing-helper' }] }));
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    const { insights } = await processor.processComment(COMMENT);
+
+    assert.strictEqual(insights[0].skillName, 'avoiding-sync-io');
+    assert.strictEqual(transport.requests.length, 2);
+    assert.match(JSON.parse(transport.requests[1].body).messages.at(-1).content, /thing-helper/);
+    assert.strictEqual(await processor.cache.get(key), JSON.stringify({ insights: [BLOCKING] }));
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('cache-only mode fails on a miss instead of calling a provider', async (t) => {
+  const { processor, transport } = await createCachedProcessor(t, [], 'cache-only');
+
+  await assert.rejects(processor.processComment(COMMENT), { code: 'ECACHEMISS' });
+  assert.strictEqual(transport.requests.length, 0);
+});
+
+test('the size cap is enforced without scanning the cache on every write', async (t) => {
+  const dir = await makeTempDir(t);
+  const cache = new AIResponseCache(dir, { maxSizeMB: 16 / 1024 });
+  let scans = 0;
+  const listEntries = cache.listEntries.bind(cache);
+  cache.listEntries = () => {
+    scans++;
+    return listEntries();
+  };
+
+  for (let i = 0; i < 80; i++) {
+    await cache.set(`${String(i).padStart(2, '0')}${'a'.repeat(62)}`, 'x'.repeat(300));
+    const entries = await listEntries();
+    const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    assert.ok(total <= cache.maxBytes, `write ${i} left ${total} bytes`);
+    assert.strictEqual(cache.size, total);
+  }
+
+  assert.ok(scans <= 20, `scanned ${scans} times for 80 writes`);
+  assert.strictEqual(await cache.get(`79${'a'.repeat(62)}`), 'x'.repeat(300));
+  assert.strictEqual(await cache.get(`00${'a'.repeat(62)}`), null);
+});
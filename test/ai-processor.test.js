@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { insight, scriptedTransport, createProcessor } = require('./helpers');
+
+const COMMENT = {
+  body: 'Do not block the event loop with synchronous file reads in request handlers.',
+  filePath: 'src/server.js',
+  diffHunk: '',
+  author: 'reviewer'
+};
+
+const BLOCKING = insight('avoiding-sync-io', 'anti-pattern', 'Use fs.promises in request handlers.');
+
+test('an invalid response is sent back with its violations and the correction is used', async () => {
+  const transport = scriptedTransport([
+    { insights: [{ ...BLOCKING, skillName: 'sync-io-helper', confidence: 3 }] },
+    { insights: [BLOCKING] }
+  ]);
+  const processor = createProcessor(transport);
+
+  const { insights } = await processor.processComment(COMMENT);
+
+  assert.strictEqual(transport.requests.length, 2);
+  const repair = JSON.parse(transport.requests[1].body).messages.at(-1).content;
+  assert.match(repair, /It was rejected for these reasons/);
+  assert.match(repair, /insights\[0\]\.confidence/);
+  assert.match(repair, /insights\[0\]\.skillName/);
+  assert.strictEqual(insights.length, 1);
+  assert.strictEqual(insights[0].skillName, 'avoiding-sync-io');
+});
+
+test('a response that is not JSON is repaired like any other violation', async () => {
+  const transport = scriptedTransport(['Sure! Here is the skill you asked for.', { insights: [BLOCKING] }]);
+  const processor = createProcessor(transport);
+
+  const { insights } = await processor.processComment(COMMENT);
+
+  assert.match(JSON.parse(transport.requests[1].body).messages.at(-1).content, /not valid JSON/);
+  assert.strictEqual(insights[0].skillName, 'avoiding-sync-io');
+});
+
+test('giving up after the repair attempts falls back to offline categorization', async () => {
+  const invalid = { insights: [{ ...BLOCKING, category: 'opinion' }] };
+  const transport = scriptedTransport([invalid, invalid, invalid]);
+  const processor = createProcessor(transport, { repairAttempts: 2 });
+  const error = console.error;
+  console.error = () => {};
+
+  try {
+    const { insights } = await processor.processComment(COMMENT);
+    assert.strictEqual(transport.requests.length, 3);
+    assert.strictEqual(insights.length, 1);
+    assert.ok(['anti-pattern', 'best-practice', 'neutral'].includes(insights[0].category));
+  } finally {
+    console.error = error;
+  }
+});
+
+test('a suggestion on the LEFT side takes its bad example from the old lines', async () => {
+  const processor = createProcessor(scriptedTransport([{ insights: [insight('keeping-let-bindings', 'best-practice', 'Keep let for reassigned bindings.')] }]));
+
+  const { examples } = await processor.processComment({
+    ...COMMENT,
+    body: 'Keep this one\n```suggestion\n  let b = 2;\n```',
+    diffHunk: '@@ -10,2 +10,2 @@\n   const a = 1;\n-  var b = 2;\n+  const b = 2;',
+    line: 11,
+    side: 'LEFT'
+  });
+
+  assert.deepStrictEqual(examples, { badExample: '  var b = 2;', goodExample: '  let b = 2;' });
+});
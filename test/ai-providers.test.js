@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProvider } = require('../scripts/utils/ai-providers');
+const { DEFAULT_CONFIG } = require('../scripts/utils/config');
+const AIProcessor = require('../scripts/utils/ai-processor');
+const { insight, routedTransport } = require('./helpers');
+
+const AI = { ...DEFAULT_CONFIG.ai, models: { ...DEFAULT_CONFIG.ai.models, openai: 'gpt-test' } };
+const REQUEST = { system: 'You review code.', prompt: 'Categorize this comment.' };
+
+test('each provider type speaks its own API', async () => {
+  const transport = routedTransport({
+    'POST /v1/chat/completions': { choices: [{ message: { content: 'from openai' } }] },
+    'POST /v1/messages': { content: [{ type: 'text', text: 'from ' }, { type: 'tool_use' }, { type: 'text', text: 'anthropic' }] },
+    'POST /api/chat': { message: { content: 'from ollama' } }
+  });
+  const env = { OPENAI_API_KEY: 'sk-openai', ANTHROPIC_API_KEY: 'sk-anthropic' };
+
+  const replies = [];
+  for (const name of ['openai', 'anthropic', 'ollama']) {
+    replies.push(await createProvider(name, AI, { env, transport }).complete(REQUEST));
+  }
+
+  assert.deepStrictEqual(replies, ['from openai', 'from anthropic', 'from ollama']);
+  const [openai, anthropic, ollama] = transport.requests;
+  assert.strictEqual(openai.headers.Authorization, 'Bearer sk-openai');
+  assert.deepStrictEqual(openai.body.messages.map(message => message.role), ['system', 'user']);
+  assert.strictEqual(anthropic.headers['x-api-key'], 'sk-anthropic');
+  assert.strictEqual(anthropic.body.system, REQUEST.system);
+  assert.strictEqual(ollama.body.format, 'json');
+  assert.strictEqual(ollama.body.stream, false);
+});
+
+test('provider entries take shared settings and keys from their own environment variable', () => {
+  const ai = {
+    ...AI,
+    temperature: 0.2,
+    providers: {
+      azure: { type: 'openai', baseURL: 'https://example.test/openai/', model: 'gpt-azure', apiKeyEnv: 'AZURE_KEY', apiKeyHeader: 'api-key', apiVersion: '2024-06-01', maxTokens: 50 }
+    }
+  };
+
+  const provider = createProvider('azure', ai, { env: { AZURE_KEY: 'azure-key', OPENAI_API_KEY: 'other' } });
+
+  assert.deepStrictEqual(
+    [provider.baseURL, provider.model, provider.apiKey, provider.temperature, provider.maxTokens],
+    ['https://example.test/openai', 'gpt-azure', 'azure-key', 0.2, 50]
+  );
+  assert.strictEqual(createProvider('openai', AI, { env: {} }).isConfigured(), false);
+  assert.strictEqual(createProvider('ollama', AI, { env: {} }).isConfigured(), true);
+  assert.throws(() => createProvider('missing', ai), /Unknown AI provider "missing" \(configured: azure\)/);
+  assert.throws(() => createProvider('bad', { providers: { bad: { type: 'grpc' } } }), /unknown type "grpc"/);
+});
+
+test('a failing provider falls through to the next one in the chain', async () => {
+  const transport = routedTransport({
+    'POST /v1/messages': () => { throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }); },
+    'POST /v1/chat/completions': { choices: [{ message: { content: JSON.stringify({ insights: [insight('closing-file-handles', 'best-practice', 'Close file handles.')] }) } }] }
+  });
+  const processor = new AIProcessor(null, 'anthropic', {
+    fallback: ['cursor', 'openai'],
+    env: { ANTHROPIC_API_KEY: 'sk-anthropic', OPENAI_API_KEY: 'sk-openai' },
+    models: { openai: 'gpt-test' },
+    transport
+  });
+  const warn = console.warn;
+  console.warn = () => {};
+
+  let result;
+  try {
+    result = await processor.processComment({ body: 'Close the file handle when done.', filePath: 'src/io.js', author: 'reviewer' });
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.deepStrictEqual(result.insights.map(i => i.skillName), ['closing-file-handles']);
+  // Cursor has no key in this environment and is never called
+  assert.deepStrictEqual(transport.requests.map(request => new URL(request.url).host), ['api.anthropic.com', 'api.openai.com']);
+});
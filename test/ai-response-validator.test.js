@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AIResponseValidator = require('../scripts/utils/ai-response-validator');
+const { insight } = require('./helpers');
+
+const validator = new AIResponseValidator({ domains: ['ohif'], maxInsights: 2 });
+
+test('accepts skill names that start with a gerund', () => {
+  for (const name of ['handling-strings', 'avoiding-memory-leaks', 'setting-up-tests', 'trying-again', 'using-viewport-service']) {
+    assert.deepStrictEqual(validator.validate({ insights: [insight(name, 'anti-pattern', 'Do it.')] }), [], name);
+  }
+});
+
+test('rejects names whose first word only ends in -ing', () => {
+  for (const name of ['string-handling', 'thing-helper', 'ring-buffers', 'king-of-hooks', 'spring-config', 'something-better', 'ing-names']) {
+    const violations = validator.validate({ insights: [insight(name, 'anti-pattern', 'Do it.')] });
+    assert.strictEqual(violations.length, 1, name);
+    assert.match(violations[0], /^insights\[0\]\.skillName: ".+" must start with a verb in gerund form/);
+  }
+});
+
+test('reports schema violations with their path', () => {
+  const violations = validator.validate({
+    insights: [
+      insight('avoiding-leaks', 'opinion', 'Do it.', { confidence: 2, domain: 'mobile' }),
+      { category: 'neutral', confidence: 0.1 },
+      insight('avoiding-leaks', 'anti-pattern', 'Do it.')
+    ]
+  });
+
+  assert.deepStrictEqual(violations.filter(v => !v.startsWith('insights[0].category') && !v.startsWith('insights[0].domain')), [
+    'insights must have at most 2 items (got 3); keep the most important points',
+    'insights[0].confidence must be <= 1',
+    'skillName "avoiding-leaks" is used by more than one insight; merge them or name them apart'
+  ]);
+  assert.ok(violations.some(v => v.startsWith('insights[0].category')));
+  assert.ok(violations.some(v => v.startsWith('insights[0].domain')));
+});
+
+test('a neutral insight only needs its category and confidence', () => {
+  assert.deepStrictEqual(validator.validate({ insights: [{ category: 'neutral', confidence: 0.2 }] }), []);
+  assert.deepStrictEqual(validator.validate({ insights: [] }), []);
+  assert.deepStrictEqual(validator.validate([]), ['The response must be a JSON object']);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { collectPullRequests, matchesRange, backfillPR, createCheckpoint } = require('../scripts/backfill');
+const EventRouter = require('../scripts/utils/event-router');
+
+/**
+ * GitHub client listing fixed closed PRs (newest first) and review comments per PR
+ */
+function fakeGitHub(pullRequests, comments = {}) {
+  const github = {
+    listed: 0,
+    async *listPRs() {
+      for (const pr of pullRequests) {
+        github.listed++;
+        yield pr;
+      }
+    },
+    async getPRComments(number) {
+      return comments[number] || [];
+    }
+  };
+  return github;
+}
+
+function pr(number, closedAt, fields = {}) {
+  return { number, closed_at: closedAt, updated_at: closedAt, merged_at: closedAt, user: { login: 'author' }, ...fields };
+}
+
+test('PRs are matched by number range, closing date and merge state', () => {
+  const options = { fromPr: 10, toPr: 20, since: new Date('2026-01-01'), until: new Date('2026-02-01'), mergedOnly: true };
+
+  assert.strictEqual(matchesRange(pr(15, '2026-01-15'), options), true);
+  assert.strictEqual(matchesRange(pr(9, '2026-01-15'), options), false);
+  assert.strictEqual(matchesRange(pr(15, '2026-03-01'), options), false);
+  assert.strictEqual(matchesRange(pr(15, '2026-01-15', { merged_at: null }), options), false);
+});
+
+test('paging stops at PRs older than --since and the matches come oldest first', async () => {
+  const github = fakeGitHub([
+    pr(30, '2026-03-01'),
+    pr(28, '2026-02-10', { merged_at: null }),
+    pr(25, '2026-02-01'),
+    pr(20, '2025-12-01'),
+    pr(10, '2025-11-01')
+  ]);
+
+  const matches = await collectPullRequests(github, { since: new Date('2026-01-01'), mergedOnly: true });
+
+  assert.deepStrictEqual(matches.map(match => match.number), [25, 30]);
+  assert.strictEqual(github.listed, 4);
+});
+
+test('a PR backfill skips processed comments and thread replies and counts each outcome', async () => {
+  const comments = [
+    { id: 1, body: 'Avoid globals', user: { login: 'reviewer' }, path: 'a.js', line: 3 },
+    { id: 2, body: 'Already seen', user: { login: 'reviewer' } },
+    { id: 3, body: 'Agreed, done', user: { login: 'author' }, in_reply_to_id: 1 },
+    { id: 4, body: 'Breaks the provider', user: { login: 'reviewer' } }
+  ];
+  const processed = [];
+  const pipeline = {
+    async process(commentData) {
+      processed.push(commentData);
+      if (commentData.id === 4) throw new Error('provider exploded');
+      return { status: 'created' };
+    }
+  };
+  const checkpoint = createCheckpoint('owner/repo');
+  checkpoint.processedComments[2] = 'skipped';
+  const warn = console.warn;
+  console.warn = () => {};
+
+  let counts;
+  try {
+    counts = await backfillPR(fakeGitHub([], { 7: comments }), new EventRouter(), pipeline, pr(7, '2026-01-01'), checkpoint, { threadAware: true });
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.deepStrictEqual(processed.map(comment => [comment.id, comment.pr, comment.prAuthor]), [[1, 7, 'author'], [4, 7, 'author']]);
+  assert.deepStrictEqual({ total: counts.total, created: counts.created, failed: counts.failed }, { total: 4, created: 1, failed: 1 });
+  assert.deepStrictEqual(checkpoint.processedComments, { 1: 'created', 2: 'skipped' });
+  assert.deepStrictEqual({ comments: checkpoint.stats.comments, created: checkpoint.stats.created, failed: checkpoint.stats.failed }, { comments: 2, created: 1, failed: 1 });
+});
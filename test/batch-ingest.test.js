@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecords, ingestRecords } = require('../scripts/batch-ingest');
+const { makeTempDir, insight, scriptedTransport, createPipeline } = require('./helpers');
+
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('JSONL lines that do not parse are kept as records with the line number', () => {
+  const records = parseRecords('{"id": "c1", "body": "Avoid globals"}\n\n{not json}\n{"id": "c3", "body": "Prefer const"}\n');
+
+  assert.strictEqual(records.length, 3);
+  assert.deepStrictEqual(records[0], { id: 'c1', body: 'Avoid globals' });
+  assert.match(records[1].parseError, /^Line 3: /);
+  assert.deepStrictEqual(parseRecords('[{"body": "x"}]'), [{ body: 'x' }]);
+});
+
+test('each record is reported in order with a summary of outcomes', async (t) => {
+  const dir = await makeTempDir(t);
+  const pipeline = await createPipeline(dir, scriptedTransport([
+    { insights: [insight('avoiding-global-state', 'anti-pattern', 'Keep state out of module globals.')] }
+  ]));
+  const records = parseRecords([
+    JSON.stringify({ id: 'c1', body: 'Avoid module-level mutable state, it leaks between requests.', filePath: 'src/app.js', pr: 3 }),
+    '{broken',
+    JSON.stringify({ id: 'c3', body: '   ' }),
+    JSON.stringify({ id: 'c4', body: 'LGTM' })
+  ].join('\n'));
+
+  const report = await quietly(() => ingestRecords(pipeline, records));
+
+  assert.deepStrictEqual(report.results.map(result => [result.id, result.status]), [['c1', 'created'], [null, 'skipped'], ['c3', 'skipped'], ['c4', 'skipped']]);
+  assert.strictEqual(report.results[0].insights[0].skillName, 'avoiding-global-state');
+  assert.match(report.results[1].reason, /^Invalid record: Line 2: /);
+  assert.strictEqual(report.results[2].reason, 'Invalid record: missing "body"');
+  assert.deepStrictEqual(report.summary, { total: 4, created: 1, merged: 0, updated: 0, retracted: 0, skipped: 3, failed: 0 });
+});
+
+test('a record the pipeline fails on is reported as failed without stopping the run', async () => {
+  const seen = [];
+  const pipeline = {
+    async process(commentData) {
+      seen.push(commentData);
+      if (commentData.id === 'bad') throw new Error('provider exploded');
+      return { status: 'merged', path: 'skills/a/SKILL.md', skillName: 'a' };
+    }
+  };
+
+  const report = await ingestRecords(pipeline, [
+    { id: 'bad', body: 'Avoid this pattern' },
+    { id: 'good', body: 'Prefer that pattern', line: 4, side: 'LEFT' }
+  ]);
+
+  assert.deepStrictEqual(report.results.map(result => [result.id, result.status, result.reason]), [['bad', 'failed', 'provider exploded'], ['good', 'merged', null]]);
+  assert.deepStrictEqual({ author: seen[1].author, line: seen[1].line, side: seen[1].side }, { author: 'unknown', line: 4, side: 'LEFT' });
+  assert.strictEqual(report.summary.failed, 1);
+});
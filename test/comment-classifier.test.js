@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs').promises;
+const CommentClassifier = require('../scripts/utils/comment-classifier');
+const AIProcessor = require('../scripts/utils/ai-processor');
+const { DEFAULT_CONFIG } = require('../scripts/utils/config');
+const { makeTempDir } = require('./helpers');
+
+const EXAMPLES = [
+  { text: 'Avoid mutating props, it causes bugs', label: 'anti-pattern' },
+  { text: 'Never swallow errors in catch blocks', label: 'anti-pattern' },
+  { text: 'Do not mutate shared state', label: 'anti-pattern' },
+  { text: 'Prefer const for values that never change', label: 'best-practice' },
+  { text: 'Use early returns to keep functions flat', label: 'best-practice' },
+  { text: 'Prefer named exports for utilities', label: 'best-practice' },
+  { text: 'Thanks, looks good', label: 'neutral' },
+  { text: 'Nice work on this one', label: 'neutral' }
+];
+
+/**
+ * Processor with no provider key, so every comment goes to the offline fallback
+ */
+function offlineProcessor(classifier = null) {
+  return new AIProcessor(null, 'openai', { fallback: [], env: {}, classifier });
+}
+
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('comments are split into words and bigrams without code, quotes or stop words', () => {
+  const tokens = CommentClassifier.tokenize('> quoted text\nDon’t mutate the props\n```js\nprops.x = 1\n```');
+
+  assert.deepStrictEqual(tokens, ['don\'t', 'mutate', 'props', 'don\'t mutate', 'mutate props']);
+});
+
+test('a trained model predicts the label its words were seen with', () => {
+  const classifier = new CommentClassifier().train(EXAMPLES);
+
+  const predicted = classifier.classify('Avoid mutating shared props');
+
+  assert.strictEqual(predicted.category, 'anti-pattern');
+  assert.ok(predicted.confidence > 0.5 && predicted.confidence < 1);
+  assert.strictEqual(Object.values(predicted.probabilities).reduce((a, b) => a + b, 0).toFixed(6), '1.000000');
+});
+
+test('a model trained on a single label makes no prediction', () => {
+  const classifier = new CommentClassifier().train(EXAMPLES.filter(example => example.label === 'neutral'));
+
+  assert.strictEqual(classifier.classify('Thanks'), null);
+});
+
+test('unknown labels are rejected during training', () => {
+  assert.throws(() => new CommentClassifier().train([{ text: 'x', label: 'praise' }]), /Unknown label "praise"/);
+});
+
+test('calibration softens the posteriors and reports held-out accuracy', () => {
+  const classifier = new CommentClassifier().train(EXAMPLES);
+
+  const result = classifier.calibrate(EXAMPLES, { folds: 4 });
+
+  assert.ok(result.temperature >= 1);
+  assert.strictEqual(classifier.temperature, result.temperature);
+  assert.ok(result.evaluated > 0 && result.accuracy >= 0 && result.accuracy <= 1);
+});
+
+test('a saved model loads back with the same predictions', async (t) => {
+  const dir = await makeTempDir(t);
+  const file = path.join(dir, 'model', 'classifier.json');
+  const classifier = new CommentClassifier().train(EXAMPLES);
+
+  await classifier.save(file);
+  const loaded = await CommentClassifier.load(file);
+
+  assert.deepStrictEqual(loaded.classify('Prefer early returns'), classifier.classify('Prefer early returns'));
+  assert.strictEqual(await CommentClassifier.load(path.join(dir, 'missing.json')), null);
+  await fs.writeFile(file, JSON.stringify({ version: 99 }));
+  await assert.rejects(CommentClassifier.load(file), /Unsupported classifier model version 99/);
+});
+
+test('without a model, keyword matches stay below the default confidence threshold', async () => {
+  const { insights: [few] } = await quietly(() => offlineProcessor().processComment({ body: 'Avoid this' }));
+  const { insights: [many] } = await quietly(() => offlineProcessor().processComment({
+    body: 'Avoid this: it is wrong, a bug and a problem to never ship without a fix'
+  }));
+
+  assert.strictEqual(few.category, 'anti-pattern');
+  assert.strictEqual(few.confidence, 0.15);
+  assert.strictEqual(many.category, 'anti-pattern');
+  assert.ok(many.confidence < DEFAULT_CONFIG.confidenceThreshold);
+});
+
+test('a trained model replaces the keyword fallback', async () => {
+  const classifier = new CommentClassifier().train(EXAMPLES);
+
+  const { insights: [predicted] } = await quietly(() => offlineProcessor(classifier).processComment({ body: 'Prefer const values' }));
+
+  assert.strictEqual(predicted.category, 'best-practice');
+  assert.strictEqual(predicted.confidence, classifier.classify('Prefer const values').confidence);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CommentFilter = require('../scripts/utils/comment-filter');
+const { insight, scriptedTransport, createProcessor } = require('./helpers');
+
+const filter = new CommentFilter();
+
+test('drops comments that are only a code block', () => {
+  const result = filter.check('```js\nconst a = 1;\n```');
+
+  assert.deepStrictEqual(result, { skip: true, rule: 'codeOnly', reason: 'Comment contains only code with no explanation' });
+});
+
+test('keeps a comment that is only a suggestion block', () => {
+  const body = '```suggestion\nconst total = items.reduce((sum, item) => sum + item.price, 0);\n```';
+
+  assert.deepStrictEqual(filter.check(body), { skip: false, body });
+});
+
+test('keeps a short remark that comes with a suggestion', () => {
+  assert.strictEqual(filter.check('nit:\n```suggestion\nlet b = 2;\n```').skip, false);
+});
+
+test('drops stop phrases and very short comments', () => {
+  assert.strictEqual(filter.check('LGTM, thanks!').rule, 'stopPhrases');
+  assert.strictEqual(filter.check('ok').rule, 'minLength');
+});
+
+test('a suggestion-only comment is categorized from the suggested lines', async () => {
+  const transport = scriptedTransport([{ insights: [insight('using-reduce-for-totals', 'best-practice', 'Sum with reduce.')] }]);
+  const processor = createProcessor(transport);
+
+  const { examples } = await processor.processComment({
+    body: '```suggestion\nconst total = items.reduce((sum, item) => sum + item.price, 0);\n```',
+    filePath: 'src/cart.js',
+    diffHunk: '@@ -1,1 +1,1 @@\n+let total = 0; for (const item of items) total += item.price;',
+    author: 'reviewer'
+  });
+
+  const prompt = JSON.parse(transport.requests[0].body).messages.at(-1).content;
+  assert.match(prompt, /Suggested Change:\n```\nconst total = items\.reduce/);
+  assert.strictEqual(examples.goodExample, 'const total = items.reduce((sum, item) => sum + item.price, 0);');
+  assert.strictEqual(examples.badExample, 'let total = 0; for (const item of items) total += item.price;');
+});
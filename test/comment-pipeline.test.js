@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const { makeTempDir, insight, scriptedTransport, createPipeline, readContributions } = require('./helpers');
+
+const COMMENT = {
+  id: 101,
+  body: 'This listener is never removed, which leaks memory. Also name boolean flags with an is prefix.',
+  author: 'reviewer',
+  pr: 7,
+  filePath: 'src/viewer.js'
+};
+
+const LEAK = insight('avoiding-memory-leaks', 'anti-pattern', 'Remove event listeners when the component unmounts.');
+const NAMING = insight('naming-boolean-flags', 'best-practice', 'Prefix boolean flags with is or has.');
+
+test('a comment with two points creates one skill per insight', async (t) => {
+  const dir = await makeTempDir(t);
+  const pipeline = await createPipeline(dir, scriptedTransport([{ insights: [LEAK, NAMING] }]));
+
+  const result = await pipeline.process(COMMENT);
+
+  assert.strictEqual(result.status, 'created');
+  assert.strictEqual(result.paths.length, 2);
+  assert.deepStrictEqual(result.insights.map(i => i.skillName), ['avoiding-memory-leaks', 'naming-boolean-flags']);
+  for (const skillPath of result.paths) {
+    await fs.access(skillPath);
+  }
+});
+
+test('an edit that drops a point retracts its contribution and keeps the rest', async (t) => {
+  const dir = await makeTempDir(t);
+  const transport = scriptedTransport([
+    { insights: [LEAK, NAMING] },
+    { insights: [{ ...LEAK, instructions: 'Always remove event listeners in cleanup.' }] }
+  ]);
+  const pipeline = await createPipeline(dir, transport);
+  const created = await pipeline.process(COMMENT);
+  const [leakPath, namingPath] = created.paths;
+
+  const edited = await pipeline.process({ ...COMMENT, body: 'This listener is never removed, which leaks memory badly.' });
+
+  assert.strictEqual(edited.status, 'updated');
+  assert.deepStrictEqual(edited.paths, [leakPath]);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, leakPath), [
+    { id: '101', instructions: 'Always remove event listeners in cleanup.' }
+  ]);
+  await assert.rejects(fs.access(namingPath), { code: 'ENOENT' });
+  assert.ok(edited.changes.some(change => change.path === namingPath && change.action === 'delete'));
+});
+
+test('deleting a comment removes the skills it alone created', async (t) => {
+  const dir = await makeTempDir(t);
+  const pipeline = await createPipeline(dir, scriptedTransport([{ insights: [LEAK, NAMING] }]));
+  const created = await pipeline.process(COMMENT);
+
+  const retracted = await pipeline.retract(COMMENT);
+
+  assert.strictEqual(retracted.status, 'retracted');
+  assert.deepStrictEqual([...retracted.removed].sort(), [...created.paths].sort());
+  assert.deepStrictEqual(await pipeline.skillManager.findSkillsByComment(COMMENT.id), []);
+});
+
+test('an edit into noise withdraws the earlier contribution without asking the AI', async (t) => {
+  const dir = await makeTempDir(t);
+  const transport = scriptedTransport([{ insights: [LEAK] }]);
+  const pipeline = await createPipeline(dir, transport);
+  await pipeline.process(COMMENT);
+
+  const result = await pipeline.process({ ...COMMENT, body: 'LGTM' });
+
+  assert.strictEqual(result.status, 'retracted');
+  assert.strictEqual(transport.requests.length, 1);
+  assert.deepStrictEqual(await pipeline.skillManager.findSkillsByComment(COMMENT.id), []);
+});
+
+test('an edit that reorders and adds points keeps each text in its skill', async (t) => {
+  const dir = await makeTempDir(t);
+  const leak = { ...LEAK, instructions: 'Remove event listeners in cleanup to avoid the memory leak.' };
+  const tests = insight('adding-unit-tests', 'best-practice', 'Add a unit test for every bug fix.');
+  const transport = scriptedTransport([{ insights: [LEAK, NAMING] }, { insights: [tests, leak, NAMING] }]);
+  const pipeline = await createPipeline(dir, transport);
+  const created = await pipeline.process(COMMENT);
+  const [leakPath, namingPath] = created.paths;
+
+  const edited = await pipeline.process({ ...COMMENT, body: `Add a unit test for this fix. ${COMMENT.body}` });
+
+  assert.strictEqual(edited.status, 'created');
+  assert.deepStrictEqual(edited.paths.slice(1), [leakPath, namingPath]);
+  assert.match(leakPath, /avoiding-memory-leaks/);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, leakPath), [
+    { id: '101', instructions: 'Remove event listeners in cleanup to avoid the memory leak.' }
+  ]);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, namingPath), [
+    { id: '101#2', instructions: NAMING.instructions }
+  ]);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, edited.paths[0]), [
+    { id: '101#3', instructions: 'Add a unit test for every bug fix.' }
+  ]);
+});
+
+test('a renamed insight continues the earlier contribution with the most similar text', async (t) => {
+  const dir = await makeTempDir(t);
+  const renamed = { ...LEAK, skillName: 'removing-event-listeners', title: 'Avoiding Memory Leaks From Listeners' };
+  const transport = scriptedTransport([{ insights: [NAMING, LEAK] }, { insights: [renamed] }]);
+  const pipeline = await createPipeline(dir, transport);
+  const created = await pipeline.process(COMMENT);
+  const [namingPath, leakPath] = created.paths;
+
+  const edited = await pipeline.process({ ...COMMENT, body: 'This listener is never removed, which leaks memory.' });
+
+  assert.deepStrictEqual(edited.paths, [leakPath]);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, leakPath), [
+    { id: '101#2', instructions: LEAK.instructions }
+  ]);
+  await assert.rejects(fs.access(namingPath), { code: 'ENOENT' });
+});
+
+test('an edit that changes the category moves the contribution to the new category', async (t) => {
+  const dir = await makeTempDir(t);
+  const other = { ...COMMENT, id: 102, body: `${COMMENT.body} Seen it twice.` };
+  const practice = { ...LEAK, category: 'best-practice', instructions: 'Pair every addEventListener with a removeEventListener.' };
+  const transport = scriptedTransport([{ insights: [LEAK] }, { insights: [LEAK] }, { insights: [practice] }]);
+  const pipeline = await createPipeline(dir, transport);
+  const created = await pipeline.process(COMMENT);
+  await pipeline.process(other);
+
+  const edited = await pipeline.process({ ...COMMENT, body: 'Always pair addEventListener with removeEventListener when the view unmounts.' });
+
+  assert.strictEqual(edited.status, 'created');
+  assert.match(edited.path, /best-practices[\\/]avoiding-memory-leaks/);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, edited.path), [
+    { id: '101', instructions: practice.instructions }
+  ]);
+  assert.deepStrictEqual(await readContributions(pipeline.skillManager, created.path), [
+    { id: '102', instructions: LEAK.instructions }
+  ]);
+  const old = await pipeline.skillManager.loadSkill(created.path);
+  assert.deepStrictEqual(old.sources.map(source => source.commentId), ['102']);
+  assert.deepStrictEqual(edited.changes.map(change => [change.path, change.action]).filter(([p]) => p.endsWith('SKILL.md')), [
+    [created.path, 'update'],
+    [edited.path, 'create']
+  ]);
+});
+
+test('a category change deletes the old skill when the comment was its only source', async (t) => {
+  const dir = await makeTempDir(t);
+  const practice = { ...LEAK, category: 'best-practice' };
+  const pipeline = await createPipeline(dir, scriptedTransport([{ insights: [LEAK] }, { insights: [practice] }]));
+  const created = await pipeline.process(COMMENT);
+
+  const edited = await pipeline.process({ ...COMMENT, body: 'Always pair addEventListener with removeEventListener when the view unmounts.' });
+
+  assert.match(edited.path, /best-practices/);
+  await assert.rejects(fs.access(created.path), { code: 'ENOENT' });
+  const skills = await pipeline.skillManager.findSkillsByComment(COMMENT.id);
+  assert.deepStrictEqual(skills.map(skill => skill.path), [edited.path]);
+});
+
+test('a review thread the AI cannot process is skipped for a later run instead of categorized by keywords', async (t) => {
+  const dir = await makeTempDir(t);
+  const transport = scriptedTransport([{ insights: [LEAK], threadOutcome: 'consensus' }]);
+  const pipeline = await createPipeline(dir, transport, { ledger: true });
+  const thread = {
+    rootId: COMMENT.id,
+    isResolved: true,
+    comments: [
+      { author: 'reviewer', body: COMMENT.body },
+      { author: 'author', body: 'Removing the listener in cleanup now.' }
+    ]
+  };
+  const created = await pipeline.process({ ...COMMENT, thread });
+  const error = console.error;
+  console.error = () => {};
+
+  let failed;
+  try {
+    failed = await pipeline.process({ ...COMMENT, thread: { ...thread, comments: [...thread.comments, { author: 'reviewer', body: 'Thanks!' }] } });
+  } finally {
+    console.error = error;
+  }
+
+  assert.strictEqual(failed.status, 'skipped');
+  assert.strictEqual(failed.retryable, true);
+  assert.match(failed.reason, /AI processing failed for review thread/);
+  assert.deepStrictEqual((await pipeline.skillManager.findSkillsByComment(COMMENT.id)).map(skill => skill.path), [created.path]);
+  assert.strictEqual(pipeline.ledger.get(COMMENT.id).outcome, 'created');
+});
+
+test('suggestion examples go to the first insight that passes the threshold', async (t) => {
+  const dir = await makeTempDir(t);
+  const unsure = { ...NAMING, confidence: 0.1 };
+  const pipeline = await createPipeline(dir, scriptedTransport([{ insights: [unsure, LEAK] }]));
+
+  const result = await pipeline.process({
+    ...COMMENT,
+    body: 'Remove the listener on unmount.\n```suggestion\n  return () => window.removeEventListener(\'resize\', onResize);\n```',
+    diffHunk: '@@ -1,1 +1,1 @@\n+  window.addEventListener(\'resize\', onResize);',
+    line: 1
+  });
+
+  assert.deepStrictEqual(result.insights.map(i => [i.skillName, i.status]), [['avoiding-memory-leaks', 'created'], ['naming-boolean-flags', 'skipped']]);
+  const skill = await pipeline.skillManager.loadSkill(result.path);
+  assert.strictEqual(skill.badExample, 'window.addEventListener(\'resize\', onResize);');
+  assert.strictEqual(skill.goodExample, 'return () => window.removeEventListener(\'resize\', onResize);');
+});
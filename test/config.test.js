@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG_FILE, DEFAULT_CONFIG, loadConfig } = require('../scripts/utils/config');
+const { makeTempDir } = require('./helpers');
+
+/**
+ * A repository with a config file and a subdirectory to run from
+ */
+async function createRepo(t, config) {
+  const rootDir = await makeTempDir(t);
+  await fs.mkdir(path.join(rootDir, '.git'));
+  await fs.mkdir(path.join(rootDir, 'packages', 'app'), { recursive: true });
+  if (config !== undefined) {
+    await fs.writeFile(path.join(rootDir, CONFIG_FILE), typeof config === 'string' ? config : JSON.stringify(config));
+  }
+  return { rootDir, cwd: path.join(rootDir, 'packages', 'app') };
+}
+
+test('the config file is found at the repository root and merged over the defaults', async (t) => {
+  const { rootDir, cwd } = await createRepo(t, { confidenceThreshold: 0.6, ai: { models: { openai: 'gpt-custom' } } });
+
+  const config = loadConfig({ cwd, env: {} });
+
+  assert.strictEqual(config.configPath, path.join(rootDir, CONFIG_FILE));
+  assert.strictEqual(config.rootDir, rootDir);
+  assert.strictEqual(config.confidenceThreshold, 0.6);
+  assert.strictEqual(config.ai.models.openai, 'gpt-custom');
+  assert.strictEqual(config.ai.models.cursor, DEFAULT_CONFIG.ai.models.cursor);
+  // Paths stay relative to the repository root, seen from the working directory
+  assert.strictEqual(config.skillsDir, path.join('..', '..', DEFAULT_CONFIG.skillsDir));
+});
+
+test('environment variables override the file', async (t) => {
+  const { cwd } = await createRepo(t, { threadAware: false, ai: { provider: 'openai' } });
+
+  const config = loadConfig({ cwd, env: { PR_SKILLS_THREAD_AWARE: 'true', PR_SKILLS_AI_PROVIDER: 'ollama', PR_SKILLS_MAX_SKILL_LINES: '200' } });
+
+  assert.strictEqual(config.threadAware, true);
+  assert.strictEqual(config.ai.provider, 'ollama');
+  assert.strictEqual(config.maxSkillLines, 200);
+  assert.throws(() => loadConfig({ cwd, env: { PR_SKILLS_CONFIDENCE_THRESHOLD: 'high' } }), /PR_SKILLS_CONFIDENCE_THRESHOLD must be a number, got "high"/);
+});
+
+test('every invalid option is reported with its path', async (t) => {
+  const { rootDir, cwd } = await createRepo(t, {
+    similarityThreshold: 2,
+    maxSkillLines: 10.5,
+    domains: [{ name: 'Bad Name' }],
+    ai: { cache: { mode: 'sometimes' } },
+    colour: 'blue'
+  });
+
+  assert.throws(() => loadConfig({ cwd, env: {} }), error => {
+    assert.match(error.message, new RegExp(`^Invalid configuration in ${path.join(rootDir, CONFIG_FILE).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:`));
+    assert.match(error.message, /config\.similarityThreshold must be <= 1/);
+    assert.match(error.message, /config\.maxSkillLines must be an integer/);
+    assert.match(error.message, /config\.domains\[0\]\.name has an invalid format/);
+    assert.match(error.message, /config\.ai\.cache\.mode must be one of: off, read-write, cache-only/);
+    assert.match(error.message, /config\.colour is not a known option/);
+    return true;
+  });
+});
+
+test('a config file that is not JSON or a missing PR_SKILLS_CONFIG file fails loudly', async (t) => {
+  const { cwd } = await createRepo(t, '{ "skillsDir": ');
+
+  assert.throws(() => loadConfig({ cwd, env: {} }), /^Error: Invalid configuration file .*\.pr-skills\.json/);
+  assert.throws(() => loadConfig({ cwd, env: { PR_SKILLS_CONFIG: 'other.json' } }), /Configuration file not found: .*other\.json/);
+});
+
+test('without a config file the defaults apply', async (t) => {
+  const { cwd } = await createRepo(t);
+
+  const config = loadConfig({ cwd, env: {} });
+
+  assert.strictEqual(config.configPath, null);
+  assert.strictEqual(config.confidenceThreshold, DEFAULT_CONFIG.confidenceThreshold);
+});
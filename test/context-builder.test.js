@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ContextBuilder = require('../scripts/utils/context-builder');
+const EventRouter = require('../scripts/utils/event-router');
+
+const OLD_FILE = [
+  'const fs = require(\'fs\');',
+  '',
+  'function readConfig(file) {',
+  '  const handle = fs.openSync(file);',
+  '  return fs.readFileSync(handle, \'utf-8\');',
+  '}',
+  ''
+].join('\n');
+
+/**
+ * Platform serving file contents per commit and a fixed PR diff
+ */
+function filePlatform(files, diff = '') {
+  const platform = {
+    reads: [],
+    async getFileText(filePath, ref) {
+      platform.reads.push(`${ref}:${filePath}`);
+      if (!(ref in files)) throw new Error(`No file at ${ref}`);
+      return files[ref];
+    },
+    async getPRDiff() {
+      return diff;
+    }
+  };
+  return platform;
+}
+
+test('an outdated comment is shown in the file at the commit it was made on', async () => {
+  const platform = filePlatform({ old: OLD_FILE, head: '// rewritten\n' });
+  const builder = new ContextBuilder(platform, { enabled: true, windowLines: 1 });
+  const { comment } = new EventRouter().route('pull_request_review_comment', {
+    pull_request: { number: 7 },
+    comment: { id: 1, body: 'Close the handle', path: 'src/config.js', line: null, commit_id: 'head', original_line: 4, original_commit_id: 'old', side: 'RIGHT' }
+  });
+
+  const context = await builder.build(comment);
+
+  assert.deepStrictEqual(platform.reads, ['old:src/config.js']);
+  assert.match(context, /^File src\/config\.js at old, lines 3-6, in readConfig\(\)/);
+  assert.match(context, />   4 \|   const handle = fs\.openSync\(file\);/);
+  assert.match(context, /^    5 \|/m);
+});
+
+test('lines on the left side of the diff get no file context', async () => {
+  const platform = filePlatform({ head: OLD_FILE });
+  const builder = new ContextBuilder(platform, { enabled: true });
+
+  const context = await builder.build({ id: 1, filePath: 'src/config.js', commitId: 'head', line: 4, side: 'LEFT' });
+
+  assert.strictEqual(context, null);
+  assert.deepStrictEqual(platform.reads, []);
+});
+
+test('a PR diff drops lockfiles and lists them as omitted', async () => {
+  const diff = [
+    'diff --git a/src/a.js b/src/a.js',
+    '+const a = 1;',
+    'diff --git a/package-lock.json b/package-lock.json',
+    '+{}',
+    ''
+  ].join('\n');
+  const builder = new ContextBuilder(filePlatform({}, diff), { enabled: true });
+
+  const context = await builder.build({ id: 2, pr: 7, filePath: '' });
+
+  assert.match(context, /diff --git a\/src\/a\.js b\/src\/a\.js\n\+const a = 1;/);
+  assert.doesNotMatch(context, /\+\{\}/);
+  assert.match(context, /Omitted files: package-lock\.json$/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventRouter = require('../scripts/utils/event-router');
+
+const PULL_REQUEST = { number: 7, user: { login: 'author' } };
+
+function reviewComment(fields) {
+  return {
+    id: 301,
+    body: 'Close the file handle here.',
+    user: { login: 'reviewer', type: 'User' },
+    path: 'src/io.js',
+    diff_hunk: '@@ -1,3 +1,3 @@',
+    side: 'RIGHT',
+    html_url: 'https://github.com/owner/repo/pull/7#discussion_r301',
+    created_at: '2026-01-02T03:04:05Z',
+    ...fields
+  };
+}
+
+test('a review comment keeps its line on the current commit', () => {
+  const routed = new EventRouter().route('pull_request_review_comment', {
+    action: 'created',
+    pull_request: PULL_REQUEST,
+    comment: reviewComment({ line: 12, start_line: 10, commit_id: 'head', original_line: 9, original_start_line: 8, original_commit_id: 'old' })
+  });
+
+  assert.strictEqual(routed.skipped, false);
+  assert.strictEqual(routed.prNumber, 7);
+  assert.deepStrictEqual(
+    { line: routed.comment.line, startLine: routed.comment.startLine, commitId: routed.comment.commitId, prAuthor: routed.comment.prAuthor },
+    { line: 12, startLine: 10, commitId: 'head', prAuthor: 'author' }
+  );
+});
+
+test('an outdated review comment pairs its original line with its original commit', () => {
+  const { comment } = new EventRouter().route('pull_request_review_comment', {
+    pull_request: PULL_REQUEST,
+    comment: reviewComment({ line: null, start_line: null, commit_id: 'head', original_line: 9, original_start_line: 8, original_commit_id: 'old' })
+  });
+
+  assert.deepStrictEqual(
+    { line: comment.line, startLine: comment.startLine, commitId: comment.commitId },
+    { line: 9, startLine: 8, commitId: 'old' }
+  );
+});
+
+test('the event name is inferred from the payload shape', () => {
+  const router = new EventRouter();
+
+  assert.strictEqual(router.route(null, { pull_request: PULL_REQUEST, comment: reviewComment({ line: 1 }) }).event, 'pull_request_review_comment');
+  assert.strictEqual(router.route(null, { pull_request: PULL_REQUEST, review: { id: 5, body: 'Looks off', user: { login: 'reviewer' } } }).event, 'pull_request_review');
+  assert.deepStrictEqual(router.route(null, { push: true }), { skipped: true, reason: 'Unsupported event: unknown' });
+});
+
+test('comments on issues that are not pull requests are skipped', () => {
+  const routed = new EventRouter().route('issue_comment', {
+    issue: { number: 3, user: { login: 'author' } },
+    comment: { id: 1, body: 'Any update?', user: { login: 'someone' } }
+  });
+
+  assert.deepStrictEqual(routed, { skipped: true, reason: 'Not a pull request comment' });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const SkillGenerator = require('../scripts/generate-skill');
+const { makeTempDir, insight } = require('./helpers');
+
+const SOURCE = { pr: 7, author: 'reviewer', date: '2026-01-02', file: 'src/viewer.js', commentId: '101' };
+
+const LEAK = insight('avoiding-memory-leaks', 'anti-pattern', 'Remove event listeners when the component unmounts.', {
+  badExample: Array.from({ length: 8 }, (_, index) => `window.addEventListener('resize', onResize${index});`).join('\n'),
+  goodExample: 'useEffect(() => () => window.removeEventListener(\'resize\', onResize), []);'
+});
+
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a split skill reads its examples back from EXAMPLES.md and drops the file once it fits again', async (t) => {
+  const skillsDir = path.join(await makeTempDir(t), 'skills');
+  const small = new SkillGenerator(skillsDir, { maxSkillLines: 20 });
+
+  const created = await quietly(() => small.generateSkill(LEAK, SOURCE, { contributionId: '101' }));
+  const examplesPath = path.join(path.dirname(created.path), 'EXAMPLES.md');
+
+  assert.match(await fs.readFile(created.path, 'utf-8'), /See \[EXAMPLES\.md\]\(EXAMPLES\.md\)/);
+  const loaded = await small.skillManager.loadSkill(created.path);
+  assert.strictEqual(loaded.badExample, LEAK.badExample);
+  assert.strictEqual(loaded.goodExample, LEAK.goodExample);
+
+  const large = new SkillGenerator(skillsDir, { maxSkillLines: 500 });
+  const rewritten = await quietly(() => large.generateSkill(LEAK, SOURCE, { targetPath: created.path, contributionId: '101' }));
+
+  assert.ok(rewritten.changes.some(change => change.path === examplesPath && change.action === 'delete'));
+  await assert.rejects(fs.access(examplesPath), { code: 'ENOENT' });
+  const content = await fs.readFile(created.path, 'utf-8');
+  assert.match(content, /### Bad\n\n```\nwindow\.addEventListener\('resize', onResize0\);/);
+  assert.doesNotMatch(content, /EXAMPLES\.md/);
+});
+
+test('a dry run stages the deletion of reference files a skill no longer needs', async (t) => {
+  const skillsDir = path.join(await makeTempDir(t), 'skills');
+  const created = await quietly(() => new SkillGenerator(skillsDir, { maxSkillLines: 20 }).generateSkill(LEAK, SOURCE, { contributionId: '101' }));
+  const examplesPath = path.join(path.dirname(created.path), 'EXAMPLES.md');
+  const dryRun = new SkillGenerator(skillsDir, { maxSkillLines: 500, dryRun: true });
+
+  const rewritten = await quietly(() => dryRun.generateSkill(LEAK, SOURCE, { targetPath: created.path, contributionId: '101' }));
+
+  assert.ok(rewritten.changes.some(change => change.path === examplesPath && change.action === 'delete'));
+  assert.strictEqual(dryRun.skillManager.staged.get(examplesPath), null);
+  await fs.access(examplesPath);
+});
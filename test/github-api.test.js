@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GitHubAPI = require('../scripts/utils/github-api');
+const { routedTransport } = require('./helpers');
+
+/**
+ * Transport serving a fixed representation per Accept header, answering 304 to a matching If-None-Match
+ */
+function conditionalTransport() {
+  const transport = {
+    requests: [],
+    async request(request) {
+      transport.requests.push(request);
+      const diff = request.headers.Accept === 'application/vnd.github.v3.diff';
+      const etag = diff ? '"diff"' : `"json-${request.url}"`;
+      if (request.headers['If-None-Match'] === etag) {
+        return { status: 304, headers: {}, raw: '' };
+      }
+      return { status: 200, headers: { etag }, raw: diff ? 'diff --git a/x b/x' : JSON.stringify({ url: request.url }) };
+    }
+  };
+  return transport;
+}
+
+function createClient(transport, options = {}) {
+  return new GitHubAPI('token', 'owner', 'repo', { transport, retryDelay: 0, ...options });
+}
+
+test('cached responses are kept apart by Accept header', async () => {
+  const transport = conditionalTransport();
+  const github = createClient(transport);
+
+  const pr = await github.getPR(1);
+  const diff = await github.getPRDiff(1);
+  const again = await github.getPR(1);
+  const diffAgain = await github.getPRDiff(1);
+
+  assert.deepStrictEqual(pr, { url: 'https://api.github.com/repos/owner/repo/pulls/1' });
+  assert.strictEqual(diff, 'diff --git a/x b/x');
+  assert.deepStrictEqual(again, pr);
+  assert.strictEqual(diffAgain, diff);
+  assert.deepStrictEqual(transport.requests.map(r => r.headers['If-None-Match'] || null), [null, null, `"json-${pr.url}"`, '"diff"']);
+});
+
+test('the ETag cache evicts the least recently used response beyond its size', async () => {
+  const transport = conditionalTransport();
+  const github = createClient(transport, { etagCacheSize: 2 });
+
+  await github.getPR(1);
+  await github.getPR(2);
+  await github.getPR(1);
+  await github.getPR(3);
+
+  assert.strictEqual(github.etagCache.size, 2);
+  assert.deepStrictEqual([...github.etagCache.keys()].map(key => key.match(/pulls\/(\d+)/)[1]), ['1', '3']);
+});
+
+/**
+ * Transport answering every request with the given responses in order; an Error is thrown as a network error
+ */
+function sequenceTransport(responses) {
+  const transport = {
+    requests: [],
+    async request(request) {
+      transport.requests.push(request);
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return { headers: {}, raw: '{}', ...response };
+    }
+  };
+  return transport;
+}
+
+test('reads are retried after server and network errors', async () => {
+  const transport = sequenceTransport([{ status: 502 }, Object.assign(new Error('reset'), { code: 'ECONNRESET' }), { status: 200 }]);
+  const github = createClient(transport);
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await github.getPR(1);
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(transport.requests.length, 3);
+});
+
+test('a POST is not retried after a server or network error', async () => {
+  const serverError = sequenceTransport([{ status: 502, raw: 'Bad gateway' }, { status: 201 }]);
+  await assert.rejects(createClient(serverError).createReviewCommentReply(1, 2, 'Thanks'), { status: 502 });
+  assert.strictEqual(serverError.requests.length, 1);
+
+  const networkError = sequenceTransport([Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), { status: 201 }]);
+  await assert.rejects(createClient(networkError).createReviewCommentReply(1, 2, 'Thanks'), { code: 'ECONNRESET' });
+  assert.strictEqual(networkError.requests.length, 1);
+});
+
+test('a rate-limited POST is retried', async () => {
+  const transport = sequenceTransport([{ status: 429, headers: { 'retry-after': '0' } }, { status: 201 }]);
+  const github = createClient(transport);
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await github.createReviewCommentReply(1, 2, 'Thanks');
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(transport.requests.length, 2);
+});
+
+test('an outdated review thread comment pairs its original line with its original commit', () => {
+  const github = createClient({ request: async () => { throw new Error('unexpected request'); } });
+  const node = { databaseId: 9, body: 'Rename this', commit: { oid: 'head' }, originalCommit: { oid: 'old' } };
+
+  const outdated = github.reviewThreadComment({ ...node, line: null, originalLine: 14, originalStartLine: 12 });
+  const current = github.reviewThreadComment({ ...node, line: 20, startLine: 18, originalLine: 14, originalStartLine: 12 });
+
+  assert.deepStrictEqual([outdated.line, outdated.startLine, outdated.commitId], [14, 12, 'old']);
+  assert.deepStrictEqual([current.line, current.startLine, current.commitId], [20, 18, 'head']);
+});
+
+/**
+ * Routes for a PR with one review thread whose root comment suggests a replacement
+ */
+function suggestionRoutes({ isOutdated, headFile }) {
+  const root = {
+    databaseId: 11,
+    body: 'Use a constant.\n```suggestion\nconst LIMIT = 10;\n```',
+    author: { login: 'reviewer', __typename: 'User' },
+    createdAt: '2026-01-01T00:00:00Z',
+    path: 'src/limits.js',
+    line: isOutdated ? null : 3,
+    originalLine: 3,
+    commit: { oid: 'head' },
+    originalCommit: { oid: 'old' }
+  };
+  return {
+    'POST /graphql': () => ({
+      data: {
+        repository: {
+          pullRequest: {
+            reviewThreads: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: [{ id: 'T1', isResolved: false, isOutdated, path: 'src/limits.js', comments: { nodes: [root] } }]
+            }
+          }
+        }
+      }
+    }),
+    'GET /repos/owner/repo/pulls/5': { number: 5, head: { sha: 'head' } },
+    'GET /repos/owner/repo/contents/src/limits.js?ref=head': { encoding: 'base64', content: Buffer.from(headFile).toString('base64') }
+  };
+}
+
+test('a suggestion counts as applied only when the PR head contains the suggested lines', async () => {
+  const applied = await createClient(routedTransport(suggestionRoutes({
+    isOutdated: true,
+    headFile: 'const a = 1;\nconst LIMIT = 10;   \nmodule.exports = LIMIT;\n'
+  }))).getReviewThread(5, 11);
+  const rewritten = await createClient(routedTransport(suggestionRoutes({
+    isOutdated: true,
+    headFile: 'const a = 1;\nconst LIMIT = 20;\n// const LIMIT = 10;\n'
+  }))).getReviewThread(5, 11);
+
+  assert.strictEqual(applied.suggestionApplied, true);
+  assert.strictEqual(rewritten.suggestionApplied, false);
+});
+
+test('the file is not read for a thread that is not outdated', async () => {
+  const transport = routedTransport(suggestionRoutes({ isOutdated: false, headFile: 'const LIMIT = 10;\n' }));
+
+  const thread = await createClient(transport).getReviewThread(5, 11);
+
+  assert.strictEqual(thread.suggestionApplied, false);
+  assert.deepStrictEqual(transport.requests.map(request => request.key), ['POST /graphql']);
+});
+
+test('review threads and their comments are read page by page', async () => {
+  const comment = id => ({ databaseId: id, body: `comment ${id}`, createdAt: `2026-01-01T00:00:0${id}Z`, line: 1, commit: { oid: 'head' } });
+  const thread = (id, comments, hasNextPage) => ({
+    id,
+    isResolved: true,
+    isOutdated: false,
+    path: 'src/a.js',
+    comments: { pageInfo: { hasNextPage, endCursor: hasNextPage ? `${id}-c1` : null }, nodes: comments }
+  });
+  const transport = routedTransport({
+    'POST /graphql': ({ query, variables }) => {
+      if (query.includes('node(id: $id)')) {
+        const page = variables.after === 'T1-c1'
+          ? { pageInfo: { hasNextPage: true, endCursor: 'T1-c2' }, nodes: [comment(2)] }
+          : { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [comment(3)] };
+        return { data: { node: { comments: page } } };
+      }
+      const reviewThreads = variables.after === null
+        ? { pageInfo: { hasNextPage: true, endCursor: 'p1' }, nodes: [thread('T1', [comment(1)], true)] }
+        : { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [thread('T2', [comment(4)], false)] };
+      return { data: { repository: { pullRequest: { reviewThreads } } } };
+    }
+  });
+
+  const threads = await createClient(transport).getReviewThreads(5);
+
+  assert.deepStrictEqual(threads.map(t => [t.id, t.comments.map(c => c.id)]), [['T1', [1, 2, 3]], ['T2', [4]]]);
+  assert.deepStrictEqual(
+    transport.requests.map(request => request.body.variables.after),
+    [null, 'T1-c1', 'T1-c2', 'p1']
+  );
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GitLabAPI = require('../scripts/utils/gitlab-api');
+const GitLabPlatform = require('../scripts/utils/gitlab-platform');
+const { respond, routedTransport } = require('./helpers');
+
+const MR = '/api/v4/projects/my-org%2Fbackend%2Fservice/merge_requests/9';
+
+const DIFF = [
+  '@@ -1,3 +1,3 @@',
+  ' const a = 1;',
+  '-var b = 2;',
+  '+let b = 2;',
+  ' module.exports = a + b;'
+].join('\n');
+
+function diffNote(fields) {
+  return {
+    type: 'DiffNote',
+    body: 'Use const here.',
+    author: { username: 'reviewer' },
+    created_at: '2026-01-01T00:00:00Z',
+    position: { new_path: 'src/sum.js', old_path: 'src/sum.js', new_line: 2, old_line: null, head_sha: 'head' },
+    ...fields
+  };
+}
+
+function createPlatform(routes) {
+  const transport = routedTransport(routes);
+  const api = new GitLabAPI('token', 'my-org/backend/service', { transport, retryDelay: 0 });
+  return { platform: new GitLabPlatform(api), transport };
+}
+
+test('a discussion becomes a review thread rooted at its first diff note', async () => {
+  const { platform } = createPlatform({
+    [`GET ${MR}/discussions?per_page=100&page=1`]: [
+      { id: 'd0', notes: [{ id: 1, type: null, body: 'General remark', author: { username: 'someone' } }] },
+      {
+        id: 'd1',
+        notes: [
+          diffNote({ id: 10, resolved: true }),
+          { id: 11, system: true, body: 'changed this line in version 2' },
+          { id: 12, body: 'Done', author: { username: 'author' }, created_at: '2026-01-02T00:00:00Z' }
+        ]
+      }
+    ],
+    [`GET ${MR}/diffs?per_page=100&page=1`]: [{ old_path: 'src/sum.js', new_path: 'src/sum.js', diff: DIFF }]
+  });
+
+  const thread = await platform.getReviewThread(9, 12);
+
+  assert.strictEqual(thread.rootId, 10);
+  assert.strictEqual(thread.isResolved, true);
+  assert.strictEqual(thread.suggestionApplied, false);
+  assert.deepStrictEqual(thread.comments.map(comment => [comment.id, comment.author]), [[10, 'reviewer'], [12, 'author']]);
+  assert.deepStrictEqual(
+    { kind: thread.root.kind, filePath: thread.root.filePath, line: thread.root.line, side: thread.root.side, discussionId: thread.root.discussionId },
+    { kind: 'review_comment', filePath: 'src/sum.js', line: 2, side: 'RIGHT', discussionId: 'd1' }
+  );
+  assert.strictEqual(thread.root.diffHunk, '@@ -1,3 +1,3 @@\n const a = 1;\n-var b = 2;\n+let b = 2;');
+});
+
+test('a note on a removed line is a LEFT comment with the hunk cut at the old line', async () => {
+  const { platform } = createPlatform({
+    [`GET ${MR}/diffs?per_page=100&page=1`]: respond('', { status: 404 }),
+    [`GET ${MR}/changes`]: { changes: [{ old_path: 'src/sum.js', new_path: 'src/sum.js', diff: DIFF }] }
+  });
+  const note = GitLabPlatform.noteData(diffNote({ id: 20, position: { new_path: 'src/sum.js', old_line: 2, new_line: null } }));
+
+  const hunk = await platform.getDiffHunk({ ...note, pr: 9 });
+
+  assert.strictEqual(note.side, 'LEFT');
+  assert.strictEqual(note.line, 2);
+  assert.strictEqual(hunk, '@@ -1,3 +1,3 @@\n const a = 1;\n-var b = 2;');
+});
+
+test('a Note Hook on a merge request is routed as a comment that needs details', () => {
+  const routed = GitLabPlatform.routeEvent('Note Hook', {
+    object_kind: 'note',
+    user: { username: 'project_42_bot_abc' },
+    project: { path_with_namespace: 'my-org/backend/service' },
+    merge_request: { iid: 9 },
+    object_attributes: { ...diffNote({ id: 30 }), note: 'Use const here.', noteable_type: 'MergeRequest', action: 'update', discussion_id: 'd3' }
+  });
+
+  assert.strictEqual(routed.action, 'edited');
+  assert.strictEqual(routed.repository, 'my-org/backend/service');
+  assert.deepStrictEqual(
+    { id: routed.comment.id, body: routed.comment.body, authorType: routed.comment.authorType, pr: routed.comment.pr, discussionId: routed.comment.discussionId, needsDetails: routed.comment.needsDetails },
+    { id: 30, body: 'Use const here.', authorType: 'Bot', pr: 9, discussionId: 'd3', needsDetails: true }
+  );
+  assert.deepStrictEqual(
+    GitLabPlatform.routeEvent('Note Hook', { object_kind: 'note', object_attributes: { noteable_type: 'Issue' } }),
+    { skipped: true, reason: 'Not a merge request comment' }
+  );
+});
+
+test('replies are found across note pages and posted in the discussion of a diff note', async () => {
+  const { platform, transport } = createPlatform({
+    [`GET ${MR}/notes?sort=asc&order_by=created_at&per_page=100&page=1`]: respond([{ id: 1, body: 'First' }], { headers: { 'x-next-page': '2' } }),
+    [`GET ${MR}/notes?sort=asc&order_by=created_at&per_page=100&page=2`]: [{ id: 2, body: '<!-- marker:5 -->' }],
+    [`POST ${MR}/discussions/d1/notes`]: body => ({ id: 3, ...body }),
+    [`POST ${MR}/notes`]: body => ({ id: 4, ...body })
+  });
+
+  const found = await platform.findReply({ pr: 9 }, '<!-- marker:5 -->');
+  const inThread = await platform.createReply({ pr: 9, kind: 'review_comment', discussionId: 'd1' }, 'Thread reply');
+  const onRequest = await platform.createReply({ pr: 9, kind: 'issue_comment' }, 'Conversation reply');
+
+  assert.strictEqual(found.id, 2);
+  assert.deepStrictEqual([inThread.id, onRequest.id], [3, 4]);
+  assert.strictEqual(transport.requests[0].headers['PRIVATE-TOKEN'], 'token');
+  assert.strictEqual(platform.fileURL('skills/a/SKILL.md', 'main'), 'https://gitlab.com/my-org/backend/service/-/blob/main/skills/a/SKILL.md');
+});
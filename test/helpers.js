@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AIProcessor = require('../scripts/utils/ai-processor');
+const SkillGenerator = require('../scripts/generate-skill');
+const CommentPipeline = require('../scripts/utils/comment-pipeline');
+const CommentFilter = require('../scripts/utils/comment-filter');
+const ProcessingLedger = require('../scripts/utils/processing-ledger');
+
+/**
+ * Create a temporary directory that is removed when the test ends
+ */
+async function makeTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pr-skills-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * A valid insight as the AI would return it
+ */
+function insight(skillName, category, instructions, extra = {}) {
+  return {
+    category,
+    confidence: 0.9,
+    skillName,
+    title: skillName.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+    description: `Covers ${skillName.replace(/-/g, ' ')}. Use when writing services.`,
+    instructions,
+    domain: 'general',
+    keywords: skillName.split('-'),
+    ...extra
+  };
+}
+
+/**
+ * Transport that answers OpenAI-style chat requests with scripted replies, in order
+ * Replies that are not strings are sent as JSON; every request is kept in transport.requests
+ */
+function scriptedTransport(replies = []) {
+  const transport = {
+    replies,
+    requests: [],
+    async request(request) {
+      transport.requests.push(request);
+      if (transport.replies.length === 0) {
+        throw new Error('No scripted reply left');
+      }
+      const reply = transport.replies.shift();
+      const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+      return { status: 200, headers: {}, raw: JSON.stringify({ choices: [{ message: { content } }] }) };
+    }
+  };
+  return transport;
+}
+
+const RESPONSE = Symbol('response');
+
+/**
+ * A routed response with a status or headers other than a plain 200
+ */
+function respond(data, { status = 200, headers = {} } = {}) {
+  return { [RESPONSE]: true, status, headers, data };
+}
+
+/**
+ * Transport answering REST requests from routes keyed by "METHOD /path?query"
+ * A route is the response data (or a respond() result) or a function of the parsed request body;
+ * unrouted requests get a 404. Requests are kept in transport.requests with their key and parsed body
+ */
+function routedTransport(routes) {
+  const transport = {
+    requests: [],
+    async request(request) {
+      const url = new URL(request.url);
+      const key = `${request.method} ${url.pathname}${url.search}`;
+      const body = request.body ? JSON.parse(request.body) : null;
+      transport.requests.push({ ...request, key, body });
+
+      const route = routes[key];
+      if (route === undefined) {
+        return { status: 404, headers: {}, raw: JSON.stringify({ message: `Not Found: ${key}` }) };
+      }
+      const result = typeof route === 'function' ? route(body) : route;
+      const { status, headers, data } = result?.[RESPONSE] ? result : respond(result);
+      return { status, headers, raw: typeof data === 'string' ? data : JSON.stringify(data) };
+    }
+  };
+  return transport;
+}
+
+/**
+ * AI processor backed by a scripted transport and no credentials from the environment
+ */
+function createProcessor(transport, options = {}) {
+  return new AIProcessor('test-key', 'openai', { fallback: [], env: {}, transport, ...options });
+}
+
+/**
+ * Pipeline writing skills into dir, with a scripted AI and optionally a ledger
+ */
+async function createPipeline(dir, transport, { ledger = false } = {}) {
+  const skillGenerator = new SkillGenerator(path.join(dir, 'skills'));
+  return new CommentPipeline({
+    aiProcessor: createProcessor(transport),
+    skillGenerator,
+    skillManager: skillGenerator.skillManager,
+    ledger: ledger ? await ProcessingLedger.load(path.join(dir, 'ledger.json'), { rootDir: dir }) : null,
+    filter: new CommentFilter()
+  });
+}
+
+/**
+ * Contribution keys and texts of the skill at a path
+ */
+async function readContributions(skillManager, skillPath) {
+  const skill = await skillManager.loadSkill(skillPath);
+  return skill.contributions.map(({ id, instructions }) => ({ id, instructions }));
+}
+
+module.exports = { makeTempDir, insight, scriptedTransport, respond, routedTransport, createProcessor, createPipeline, readContributions };
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const ProcessingLedger = require('../scripts/utils/processing-ledger');
+const { makeTempDir, insight, scriptedTransport, createPipeline } = require('./helpers');
+
+const COMMENT = {
+  id: 202,
+  body: 'Avoid mutating props inside the component, copy them into local state first.',
+  author: 'reviewer',
+  pr: 9,
+  filePath: 'src/panel.js'
+};
+
+const MUTATION = insight('avoiding-prop-mutation', 'anti-pattern', 'Copy props into local state before changing them.');
+
+test('an unchanged comment is skipped without another AI call', async (t) => {
+  const dir = await makeTempDir(t);
+  const transport = scriptedTransport([{ insights: [MUTATION] }]);
+  const pipeline = await createPipeline(dir, transport, { ledger: true });
+
+  const first = await pipeline.process(COMMENT);
+  const second = await pipeline.process({ ...COMMENT });
+
+  assert.strictEqual(first.status, 'created');
+  assert.strictEqual(second.status, 'skipped');
+  assert.strictEqual(second.unchanged, true);
+  assert.strictEqual(transport.requests.length, 1);
+});
+
+test('an edited comment is processed again and the ledger records the new outcome', async (t) => {
+  const dir = await makeTempDir(t);
+  const transport = scriptedTransport([
+    { insights: [MUTATION] },
+    { insights: [{ ...MUTATION, instructions: 'Never assign to props; derive local state instead.' }] }
+  ]);
+  const pipeline = await createPipeline(dir, transport, { ledger: true });
+  await pipeline.process(COMMENT);
+
+  const edited = await pipeline.process({ ...COMMENT, body: `${COMMENT.body} Props belong to the parent.` });
+
+  assert.strictEqual(edited.status, 'updated');
+  assert.strictEqual(transport.requests.length, 2);
+  const saved = JSON.parse(await fs.readFile(path.join(dir, 'ledger.json'), 'utf-8'));
+  assert.strictEqual(saved.comments['202'].outcome, 'updated');
+  assert.strictEqual(saved.comments['202'].hash, ProcessingLedger.hashComment({ ...COMMENT, body: `${COMMENT.body} Props belong to the parent.` }));
+});
+
+test('the ledger survives a reload and only writes when it changed', async (t) => {
+  const dir = await makeTempDir(t);
+  const filePath = path.join(dir, 'ledger.json');
+  const ledger = await ProcessingLedger.load(filePath, { rootDir: dir });
+  const hash = ProcessingLedger.hashComment(COMMENT);
+
+  ledger.record(COMMENT, hash, { status: 'created', path: path.join(dir, 'skills', 'a', 'SKILL.md') });
+  const change = await ledger.save();
+  assert.strictEqual(change.action, 'create');
+  assert.strictEqual(await ledger.save(), null);
+
+  const reloaded = await ProcessingLedger.load(filePath, { rootDir: dir });
+  assert.ok(reloaded.isUnchanged(COMMENT.id, hash));
+  assert.ok(!reloaded.isUnchanged(COMMENT.id, ProcessingLedger.hashComment({ ...COMMENT, body: 'edited' })));
+  assert.deepStrictEqual(reloaded.get(COMMENT.id).skills, ['skills/a/SKILL.md']);
+});
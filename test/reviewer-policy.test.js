@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReviewerPolicy = require('../scripts/utils/reviewer-policy');
+const { SCHEMA, validateValue } = require('../scripts/utils/config');
+
+/**
+ * Platform whose teams are given as "org -> team -> members"
+ */
+function teamPlatform(teams) {
+  const platform = {
+    calls: [],
+    async isTeamMember(org, team, username) {
+      platform.calls.push([org, team, username]);
+      return (teams[org]?.[team] || []).includes(username);
+    }
+  };
+  return platform;
+}
+
+test('a GitHub team is checked as org and slug', async () => {
+  const platform = teamPlatform({ 'my-org': { 'core-reviewers': ['alice'] } });
+  const policy = new ReviewerPolicy({ allowTeams: ['my-org/core-reviewers'] }, { platform });
+
+  assert.strictEqual((await policy.evaluate({ author: 'alice', body: 'x' })).allowed, true);
+  assert.strictEqual((await policy.evaluate({ author: 'bob', body: 'x' })).allowed, false);
+  assert.deepStrictEqual(platform.calls[0], ['my-org', 'core-reviewers', 'alice']);
+});
+
+test('a nested GitLab group keeps its full path after the top-level group', async () => {
+  const platform = teamPlatform({ 'my-org': { 'backend/reviewers': ['alice'] } });
+  const policy = new ReviewerPolicy({ allowTeams: ['my-org/backend/reviewers'] }, { platform });
+
+  assert.strictEqual((await policy.evaluate({ author: 'alice', body: 'x' })).allowed, true);
+  assert.deepStrictEqual(platform.calls, [['my-org', 'backend/reviewers', 'alice']]);
+});
+
+test('the policy schema accepts nested team paths and rejects bare names', () => {
+  const schema = SCHEMA.properties.policy;
+
+  assert.deepStrictEqual(validateValue({ allowTeams: ['org/team', 'org/sub/team'] }, schema, 'policy'), []);
+  assert.strictEqual(validateValue({ allowTeams: ['team'] }, schema, 'policy').length, 1);
+  assert.strictEqual(validateValue({ allowTeams: ['org//team'] }, schema, 'policy').length, 1);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SkillNotifier = require('../scripts/utils/skill-notifier');
+
+/**
+ * Review platform keeping replies in memory
+ */
+function memoryPlatform(replies = []) {
+  const platform = {
+    replies,
+    created: [],
+    updated: [],
+    async findReply(commentData, marker) {
+      return platform.replies.find(reply => reply.body.includes(marker)) || null;
+    },
+    async createReply(commentData, body) {
+      const reply = { id: platform.replies.length + 1, body };
+      platform.replies.push(reply);
+      platform.created.push(reply);
+      return reply;
+    },
+    async updateReply(commentData, reply, body) {
+      reply.body = body;
+      platform.updated.push(reply);
+      return reply;
+    },
+    fileURL(repoPath, ref) {
+      return `https://example.test/blob/${ref}/${repoPath}`;
+    }
+  };
+  return platform;
+}
+
+const COMMENT = { id: 42, pr: 7, kind: 'issue_comment', author: 'reviewer', url: 'https://example.test/pull/7#issuecomment-42' };
+const CREATED = {
+  status: 'created',
+  skillName: 'avoiding-memory-leaks',
+  category: 'anti-pattern',
+  path: '/repo/.claude/skills/general/anti-patterns/avoiding-memory-leaks/SKILL.md',
+  instructions: 'Remove event listeners on unmount.'
+};
+
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a comment that became a skill gets one reply linking the skill file', async () => {
+  const platform = memoryPlatform();
+  const notifier = new SkillNotifier(platform, { rootDir: '/repo', ref: 'main' });
+
+  const reply = await quietly(() => notifier.notify(COMMENT, CREATED, { pullRequest: { number: 12 } }));
+
+  assert.strictEqual(platform.created.length, 1);
+  assert.ok(SkillNotifier.isNotification(reply.body));
+  assert.match(reply.body, /^<!-- pr-skills-extractor:reply:42 -->\n\[This comment\]\(https:\/\/example\.test\/pull\/7#issuecomment-42\) by @reviewer became a new skill: \*\*avoiding-memory-leaks\*\* \(anti-pattern\)/);
+  assert.match(reply.body, /Skill file: \[`\.claude\/skills\/general\/anti-patterns\/avoiding-memory-leaks\/SKILL\.md`\]\(https:\/\/example\.test\/blob\/main\/\.claude\//);
+  assert.match(reply.body, /Proposed in #12; it takes effect once that PR is merged\./);
+  assert.match(reply.body, /<summary>Extracted instructions<\/summary>\n\nRemove event listeners on unmount\./);
+});
+
+test('a comment with several insights lists each skill', async () => {
+  const platform = memoryPlatform();
+  const notifier = new SkillNotifier(platform, { rootDir: '/repo' });
+  const result = {
+    ...CREATED,
+    insights: [
+      CREATED,
+      { ...CREATED, status: 'merged', skillName: 'naming-boolean-flags', category: 'best-practice', path: '/repo/skills/naming-boolean-flags/SKILL.md' },
+      { status: 'skipped', skillName: 'thanking-reviewers', category: 'neutral' }
+    ]
+  };
+
+  const reply = await quietly(() => notifier.notify({ ...COMMENT, kind: 'review_comment' }, result));
+
+  assert.match(reply.body, /This comment raised 2 separate points:\n\n- \*\*avoiding-memory-leaks\*\* \(anti-pattern\) became a new skill: /);
+  assert.match(reply.body, /- \*\*naming-boolean-flags\*\* \(best-practice\) was merged into an existing skill: /);
+  assert.doesNotMatch(reply.body, /thanking-reviewers/);
+});
+
+test('an existing reply is updated in place and only rewritten when it changes', async () => {
+  const platform = memoryPlatform();
+  const notifier = new SkillNotifier(platform, { rootDir: '/repo' });
+  await quietly(() => notifier.notify(COMMENT, CREATED));
+
+  await quietly(() => notifier.notify(COMMENT, CREATED));
+  await quietly(() => notifier.notify(COMMENT, { ...CREATED, status: 'updated' }));
+
+  assert.strictEqual(platform.created.length, 1);
+  assert.strictEqual(platform.updated.length, 1);
+  assert.match(platform.replies[0].body, /updated its contribution to a skill/);
+});
+
+test('a withdrawal only updates an existing reply', async () => {
+  const platform = memoryPlatform();
+  const notifier = new SkillNotifier(platform, { rootDir: '/repo' });
+
+  assert.strictEqual(await notifier.notify(COMMENT, { status: 'skipped', reason: 'No actionable insight' }), null);
+  await quietly(() => notifier.notify(COMMENT, CREATED));
+  await quietly(() => notifier.notify(COMMENT, { status: 'retracted', reason: 'Comment deleted' }));
+
+  assert.strictEqual(platform.created.length, 1);
+  assert.match(platform.replies[0].body, /no longer contributes to any skill \(Comment deleted\)\.$/);
+});
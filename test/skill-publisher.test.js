@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const GitHubAPI = require('../scripts/utils/github-api');
+const SkillPublisher = require('../scripts/utils/skill-publisher');
+const { makeTempDir, routedTransport } = require('./helpers');
+
+const REPO = '/repos/owner/repo';
+
+/**
+ * Routes for a repository whose base branch holds the given files and has no skills PR yet
+ */
+function baseRoutes(files, trees = []) {
+  return {
+    [`GET ${REPO}/pulls?state=open&head=owner%3Apr-skills%2Fupdate`]: [],
+    [`GET ${REPO}`]: { default_branch: 'main' },
+    [`GET ${REPO}/git/ref/heads/main`]: { object: { sha: 'base-commit' } },
+    [`GET ${REPO}/git/commits/base-commit`]: { sha: 'base-commit', tree: { sha: 'base-tree' } },
+    [`GET ${REPO}/git/trees/base-tree?recursive=1`]: { tree: files.map(file => ({ path: file, type: 'blob', sha: 'x' })), truncated: false },
+    [`POST ${REPO}/git/trees`]: { sha: 'new-tree' },
+    [`POST ${REPO}/git/commits`]: { sha: 'new-commit' },
+    [`POST ${REPO}/git/refs`]: { ref: 'refs/heads/pr-skills/update' },
+    [`POST ${REPO}/pulls`]: body => ({ number: 12, ...body }),
+    ...Object.fromEntries(trees)
+  };
+}
+
+async function createPublisher(t, routes) {
+  const dir = await makeTempDir(t);
+  const transport = routedTransport(routes);
+  const github = new GitHubAPI('token', 'owner', 'repo', { transport, retryDelay: 0 });
+  const publisher = new SkillPublisher(github, { rootDir: dir, skillsDir: path.join(dir, '.claude/skills') });
+  const skill = name => path.join(dir, '.claude/skills/general/anti-patterns', name, 'SKILL.md');
+  return { publisher, transport, skill };
+}
+
+const ENTRY = { commentId: 7, status: 'created', skillName: 'avoiding-leaks', category: 'anti-pattern', pr: 3, author: 'reviewer' };
+
+test('changes to one path become a single tree entry with the last content', async (t) => {
+  const existing = '.claude/skills/general/anti-patterns/removing-old/SKILL.md';
+  const { publisher, transport, skill } = await createPublisher(t, baseRoutes([existing]));
+  const log = console.log;
+  console.log = () => {};
+
+  let pr;
+  try {
+    pr = await publisher.publish([
+      { path: skill('avoiding-leaks'), action: 'create', before: null, after: 'v1' },
+      { path: skill('avoiding-leaks'), action: 'update', before: 'v1', after: 'v2' },
+      { path: skill('adding-tests'), action: 'create', before: null, after: 'tests' },
+      { path: skill('adding-tests'), action: 'delete', before: 'tests', after: null },
+      { path: skill('never-published'), action: 'delete', before: 'old', after: null },
+      { path: skill('removing-old'), action: 'delete', before: 'old', after: null }
+    ], ENTRY);
+  } finally {
+    console.log = log;
+  }
+
+  const createTree = transport.requests.find(request => request.key === `POST ${REPO}/git/trees`);
+  assert.deepStrictEqual(createTree.body, {
+    base_tree: 'base-tree',
+    tree: [
+      { path: '.claude/skills/general/anti-patterns/avoiding-leaks/SKILL.md', mode: '100644', type: 'blob', content: 'v2' },
+      { path: existing, mode: '100644', type: 'blob', sha: null }
+    ]
+  });
+  const commit = transport.requests.find(request => request.key === `POST ${REPO}/git/commits`);
+  assert.deepStrictEqual(commit.body.parents, ['base-commit']);
+  assert.match(commit.body.message, /^Created skill avoiding-leaks/);
+  assert.strictEqual(pr.number, 12);
+  assert.strictEqual(pr.base, 'main');
+  assert.match(pr.body, /pr-skills-extractor:entry:7/);
+});
+
+test('nothing is committed when the changes cancel out', async (t) => {
+  const { publisher, transport, skill } = await createPublisher(t, baseRoutes([]));
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    const pr = await publisher.publish([
+      { path: skill('adding-tests'), action: 'create', before: null, after: 'tests' },
+      { path: skill('adding-tests'), action: 'delete', before: 'tests', after: null }
+    ], ENTRY);
+    assert.strictEqual(pr, null);
+  } finally {
+    console.log = log;
+  }
+  assert.ok(!transport.requests.some(request => request.method === 'POST'));
+});
+
+test('a truncated tree listing is checked one directory at a time', async (t) => {
+  const routes = baseRoutes([], [
+    [`GET ${REPO}/git/trees/base-tree`, { tree: [{ path: '.claude', type: 'tree', sha: 'claude' }] }],
+    [`GET ${REPO}/git/trees/claude`, { tree: [{ path: 'skills', type: 'tree', sha: 'skills' }] }],
+    [`GET ${REPO}/git/trees/skills`, { tree: [{ path: 'kept', type: 'blob', sha: 'k' }] }]
+  ]);
+  routes[`GET ${REPO}/git/trees/base-tree?recursive=1`] = { tree: [], truncated: true };
+  const { publisher } = await createPublisher(t, routes);
+
+  const existing = await publisher.existingPaths('base-tree', ['.claude/skills/kept', '.claude/skills/gone', '.claude/other/kept']);
+
+  assert.deepStrictEqual([...existing], ['.claude/skills/kept']);
+});
+
+test('an open skills PR gets a commit on its branch and an updated body', async (t) => {
+  const routes = baseRoutes([]);
+  routes[`GET ${REPO}/pulls?state=open&head=owner%3Apr-skills%2Fupdate`] = [{ number: 4, base: { ref: 'main' }, body: '' }];
+  routes[`GET ${REPO}/git/ref/heads/pr-skills/update`] = { object: { sha: 'branch-commit' } };
+  routes[`GET ${REPO}/git/commits/branch-commit`] = { sha: 'branch-commit', tree: { sha: 'branch-tree' } };
+  routes[`PATCH ${REPO}/git/refs/heads/pr-skills/update`] = { ref: 'refs/heads/pr-skills/update' };
+  routes[`PATCH ${REPO}/pulls/4`] = body => ({ number: 4, ...body });
+  const { publisher, transport, skill } = await createPublisher(t, routes);
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    const pr = await publisher.publish([{ path: skill('avoiding-leaks'), action: 'create', before: null, after: 'v1' }], ENTRY);
+    assert.strictEqual(pr.number, 4);
+  } finally {
+    console.log = log;
+  }
+  const update = transport.requests.find(request => request.key === `PATCH ${REPO}/git/refs/heads/pr-skills/update`);
+  assert.deepStrictEqual(update.body, { sha: 'new-commit', force: false });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSuggestion, splitSuggestions, extractCommentedLines } = require('../scripts/utils/suggestion-parser');
+
+const HUNK = [
+  '@@ -10,3 +10,4 @@ function load() {',
+  '   const a = 1;',
+  '-  var b = 2;',
+  '+  let b = 2;',
+  '+  var c = 3;',
+  '   return a + b;'
+].join('\n');
+
+test('splits prose from suggestion blocks', () => {
+  const body = 'Prefer const here.\n\n```suggestion\nconst c = 3;\n```\n\nAnd here:\n```suggestion\nconst d = 4;\n```';
+
+  const { prose, suggestions } = splitSuggestions(body);
+
+  assert.strictEqual(prose, 'Prefer const here.\n\nAnd here:');
+  assert.deepStrictEqual(suggestions, ['const c = 3;', 'const d = 4;']);
+});
+
+test('leaves other code blocks in the prose', () => {
+  const { prose, suggestions } = splitSuggestions('Like this:\n```js\nconst c = 3;\n```');
+
+  assert.strictEqual(prose, 'Like this:\n```js\nconst c = 3;\n```');
+  assert.deepStrictEqual(suggestions, []);
+});
+
+test('takes the commented lines from the new side of the hunk', () => {
+  assert.strictEqual(extractCommentedLines(HUNK), '  return a + b;');
+  assert.strictEqual(extractCommentedLines(HUNK, { line: 12 }), '  var c = 3;');
+  assert.strictEqual(extractCommentedLines(HUNK, { startLine: 11, line: 12 }), '  let b = 2;\n  var c = 3;');
+  assert.strictEqual(extractCommentedLines('not a hunk'), null);
+});
+
+test('turns the first suggestion into a bad/good example pair', () => {
+  const parsed = parseSuggestion('Use const.\n```suggestion\n  const c = 3;\n```', HUNK, { line: 12 });
+
+  assert.deepStrictEqual(parsed, { prose: 'Use const.', badExample: '  var c = 3;', goodExample: '  const c = 3;' });
+  assert.strictEqual(parseSuggestion('No suggestion here', HUNK), null);
+});
+
+test('accepts longer fences so suggestions can contain backticks', () => {
+  const { suggestions } = splitSuggestions('````suggestion\nconst s = `${a}`;\n```inner```\n````');
+
+  assert.deepStrictEqual(suggestions, ['const s = `${a}`;\n```inner```']);
+});
+
+test('takes the commented lines from the old side of the hunk for LEFT comments', () => {
+  assert.strictEqual(extractCommentedLines(HUNK, { line: 11, side: 'LEFT' }), '  var b = 2;');
+  assert.strictEqual(extractCommentedLines(HUNK, { startLine: 10, line: 12, side: 'LEFT' }), '  const a = 1;\n  var b = 2;\n  return a + b;');
+  assert.strictEqual(extractCommentedLines(HUNK.split('\n').slice(0, 3).join('\n'), { side: 'LEFT' }), '  var b = 2;');
+});
+
+test('a LEFT comment gets its bad example from the old side', () => {
+  const parsed = parseSuggestion('Keep it\n```suggestion\n  const b = 2;\n```', HUNK, { line: 11, side: 'LEFT' });
+
+  assert.strictEqual(parsed.badExample, '  var b = 2;');
+});
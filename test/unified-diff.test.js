@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUnifiedDiff, extractHunk } = require('../scripts/utils/unified-diff');
+const { buildPlan, formatPlan } = require('../scripts/utils/skill-plan');
+
+const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}`);
+
+test('changes far apart get separate hunks with three lines of context', () => {
+  const before = lines(20);
+  const after = [...before];
+  after[1] = 'changed 2';
+  after[17] = 'changed 18';
+
+  const diff = createUnifiedDiff(`${before.join('\n')}\n`, `${after.join('\n')}\n`, { fromFile: 'a/x', toFile: 'b/x' });
+
+  assert.strictEqual(diff, [
+    '--- a/x',
+    '+++ b/x',
+    '@@ -1,5 +1,5 @@',
+    ' line 1',
+    '-line 2',
+    '+changed 2',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '@@ -15,6 +15,6 @@',
+    ' line 15',
+    ' line 16',
+    ' line 17',
+    '-line 18',
+    '+changed 18',
+    ' line 19',
+    ' line 20',
+    ''
+  ].join('\n'));
+});
+
+test('new and deleted files diff against /dev/null, and equal texts give no diff', () => {
+  assert.strictEqual(createUnifiedDiff(null, 'a\nb\n'), '--- /dev/null\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+  assert.strictEqual(createUnifiedDiff('a\n', null), '--- a\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-a\n');
+  assert.strictEqual(createUnifiedDiff('same\n', 'same\n'), '');
+});
+
+test('a hunk is cut from a file diff to end at the commented line of either side', () => {
+  const diff = [
+    '@@ -1,2 +1,2 @@',
+    ' keep',
+    '-old',
+    '+new',
+    '@@ -10,3 +10,4 @@',
+    ' ten',
+    '-eleven',
+    '+eleven!',
+    '+extra',
+    '\\ No newline at end of file',
+    ' twelve'
+  ].join('\n');
+
+  assert.strictEqual(extractHunk(diff, { line: 13 }), '@@ -10,3 +10,4 @@\n ten\n-eleven\n+eleven!\n+extra\n twelve');
+  assert.strictEqual(extractHunk(diff, { line: 11, side: 'LEFT' }), '@@ -10,3 +10,4 @@\n ten\n-eleven');
+  assert.strictEqual(extractHunk(diff, { line: 5 }), null);
+});
+
+test('a dry-run plan shows each file change as a diff', () => {
+  const plan = buildPlan({
+    status: 'created',
+    path: 'skills/a/SKILL.md',
+    skillName: 'avoiding-globals',
+    category: 'anti-pattern',
+    matchScore: 0.12345,
+    changes: [{ path: 'skills/a/SKILL.md', action: 'create', before: null, after: '# Avoiding Globals\n' }]
+  }, { id: 'c1' });
+
+  assert.strictEqual(plan.matchScore, 0.123);
+  assert.deepStrictEqual(plan.files, [{
+    path: 'skills/a/SKILL.md',
+    action: 'create',
+    diff: '--- /dev/null\n+++ b/skills/a/SKILL.md\n@@ -0,0 +1,1 @@\n+# Avoiding Globals\n'
+  }]);
+  assert.strictEqual(formatPlan(plan), [
+    'Comment c1: would be created -> skills/a/SKILL.md',
+    '  Skill: avoiding-globals (anti-pattern)',
+    '  Match score: 0.123',
+    '',
+    '  create skills/a/SKILL.md',
+    '',
+    '--- /dev/null\n+++ b/skills/a/SKILL.md\n@@ -0,0 +1,1 @@\n+# Avoiding Globals'
+  ].join('\n'));
+  assert.strictEqual(formatPlan(buildPlan({ status: 'skipped', reason: 'Filtered' })), 'Comment: skipped (Filtered), no skill changes');
+});